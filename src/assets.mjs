@@ -0,0 +1,164 @@
+import { findCssUrls, replaceCssUrls } from './css.mjs';
+import { getRelativeUrl, resolveUrl } from './url.mjs';
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml',
+  ico: 'image/x-icon',
+  bmp: 'image/bmp',
+  woff2: 'font/woff2',
+  woff: 'font/woff',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  css: 'text/css',
+  js: 'text/javascript',
+  mjs: 'text/javascript',
+};
+
+const CSS_IMPORT_RE = /\/\*[\s\S]*?\*\/|@import\s*(?:url\(\s*(?:"([^"]*)"|'([^']*)'|([^)'"\s]*))\s*\)|"([^"]*)"|'([^']*)')([^;]*);?/gi;
+
+// static imports, re-exports, import() and import.meta resolve against the module's own URL
+const MODULE_URL_RE = /\b(?:from|import)\s*\(?\s*["']\.{0,2}\/|\bimport\.meta\b/;
+
+const dependsOnModuleUrl = (code) => MODULE_URL_RE.test(code);
+
+const getMimeType = (url) => {
+  const extension = new URL(url).pathname.match(/\.([a-z\d]+)$/i)?.[1].toLowerCase();
+  return MIME_TYPES[extension] ?? 'application/octet-stream';
+};
+
+/**
+ * Turns what a loader resolved to (a string, bytes, or `{ content, type }`)
+ * into `{ bytes, text, type }`, or null when there is nothing to inline.
+ */
+const normalizeAsset = (result, url) => {
+  if (result == null) {
+    return null;
+  }
+  const isWrapped = typeof result === 'object' && 'content' in result && !ArrayBuffer.isView(result);
+  const { content, type } = isWrapped ? result : { content: result };
+  if (content == null) {
+    return null;
+  }
+  const bytes = ArrayBuffer.isView(content)
+    ? Buffer.from(content.buffer, content.byteOffset, content.byteLength)
+    : Buffer.from(content);
+  return {
+    bytes,
+    text: typeof content === 'string' ? content : bytes.toString('utf8'),
+    type: type ?? getMimeType(url),
+  };
+};
+
+const toDataUri = (asset) => `data:${asset.type};base64,${asset.bytes.toString('base64')}`;
+
+// inline code must not close its element early
+const escapeInlineCode = (code, tagName) => code.replace(new RegExp(`</(${tagName})`, 'gi'), '<\\/$1');
+
+/**
+ * Rewrites the `url()` references of a stylesheet loaded from `cssUrl` so
+ * that they still work once the CSS sits in the document: small images and
+ * fonts become `data:` URIs unless `context.images` is off, everything else is
+ * made relative to the document.
+ */
+const rewriteCssAssetUrls = async (css, cssUrl, context) => {
+  const entries = findCssUrls(css);
+  const values = await Promise.all(entries.map(async ({ value, type, inFontFace }) => {
+    const url = /^(?:data:|#)/i.test(value) ? null : resolveUrl(value, cssUrl);
+    if (!url) {
+      return undefined;
+    }
+    if (type === 'url' && context.images) {
+      const dataUri = await context.inline(url, inFontFace ? 'font' : 'image');
+      if (dataUri) {
+        return dataUri;
+      }
+    }
+    return cssUrl === context.baseUrl ? undefined : getRelativeUrl(url, context.baseUrl);
+  }));
+  let index = 0;
+  return replaceCssUrls(css, () => values[index++]);
+};
+
+const CSS_CHARSET_RE = /^@charset\s*(?:"[^"]*"|'[^']*')\s*;\s*/i;
+
+/**
+ * Inlines the `@import`s of one stylesheet and returns the rules that stay
+ * `@import`s, including those of the inlined stylesheets, apart from the
+ * rest of the CSS.
+ */
+const collectStylesheet = async (css, cssUrl, context, chain) => {
+  const charset = css.match(CSS_CHARSET_RE)?.[0] ?? '';
+  const source = css.slice(charset.length);
+  const imports = [...source.matchAll(CSS_IMPORT_RE)].filter((match) => !match[0].startsWith('/*'));
+
+  const inlined = await Promise.all(imports.map(async (match) => {
+    const value = [1, 2, 3, 4, 5].map((group) => match[group]).find((group) => group != null);
+    const conditions = match[6].trim();
+    const url = resolveUrl(value, cssUrl);
+    if (!url || chain.includes(url) || /^(?:layer|supports)\b/i.test(conditions)) {
+      return null;
+    }
+    const asset = await context.load(url, 'style');
+    if (!asset) {
+      return null;
+    }
+    const content = await collectStylesheet(asset.text, url, context, [...chain, url]);
+    // the imports the stylesheet keeps cannot carry the media conditions along
+    if (conditions && content.imports.length) {
+      return null;
+    }
+    return {
+      imports: content.imports,
+      body: conditions ? `@media ${conditions} {\n${content.body}\n}` : content.body,
+    };
+  }));
+
+  const kept = [];
+  const parts = [];
+  let position = 0;
+  imports.forEach((match, index) => {
+    parts.push(rewriteCssAssetUrls(source.slice(position, match.index), cssUrl, context));
+    position = match.index + match[0].length;
+    if (inlined[index]) {
+      kept.push(...inlined[index].imports);
+      parts.push(inlined[index].body);
+    } else {
+      kept.push(rewriteCssAssetUrls(match[0].replace(/;?$/, ';'), cssUrl, context));
+      // the line the rule was on goes with it
+      position += source.slice(position).match(/^\s*/)[0].length;
+    }
+  });
+  parts.push(rewriteCssAssetUrls(source.slice(position), cssUrl, context));
+
+  return {
+    charset,
+    imports: await Promise.all(kept),
+    body: (await Promise.all(parts)).join(''),
+  };
+};
+
+/**
+ * Replaces `@import` rules with the imported stylesheets, recursively and
+ * relative to each stylesheet, and rewrites `url()` references. Imports with
+ * `layer()` or `supports()` conditions, cyclic imports and imports the loader
+ * cannot provide stay as `@import` rules. Browsers ignore `@import` after
+ * other rules, so those are moved to the top, after `@charset`.
+ */
+const inlineStylesheet = async (css, cssUrl, context) => {
+  const { charset, imports, body } = await collectStylesheet(css, cssUrl, context, [cssUrl]);
+  return [charset, ...imports.map((rule) => `${rule}\n`), body].join('');
+};
+
+export {
+  dependsOnModuleUrl,
+  escapeInlineCode,
+  inlineStylesheet,
+  normalizeAsset,
+  toDataUri,
+};
@@ -0,0 +1,143 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+
+import {
+  htmlToJson,
+  inlineAssets,
+  jsonToHtml,
+  querySelector,
+} from './index.mjs';
+
+const files = {
+  'file:///site/css/main.css': '@import "base.css";\n@import url(print.css) print;\nbody { background: url(../img/dot.png); }\n.big { background: url("../img/big.jpg"); }',
+  'file:///site/css/base.css': '@import "main.css";\nhtml { font-family: x; }\n@font-face { src: url(fonts/a.woff2); }',
+  'file:///site/css/print.css': 'a { color: black; }',
+  'file:///site/css/fonts/a.woff2': new Uint8Array([1, 2, 3]),
+  'file:///site/img/dot.png': Buffer.from('png'),
+  'file:///site/img/big.jpg': Buffer.alloc(100),
+  'file:///site/img/logo.svg': { content: '<svg/>', type: 'image/svg+xml' },
+  'file:///site/js/app.js': 'if (a </script> b) {}',
+  'file:///site/js/late.js': 'late()',
+  'file:///site/js/mod.mjs': 'import "./x.mjs";',
+  'file:///site/js/cdn.mjs': 'import x from "https://cdn.example.com/x.mjs";',
+  'file:///site/js/meta.mjs': 'fetch(new URL("data.json", import.meta.url));',
+  'file:///site/js/lazy.mjs': 'const m = await import( \'../lib/m.mjs\');',
+};
+
+const loader = async (url) => files[url] ?? null;
+
+const documentUrl = 'file:///site/index.html';
+
+describe('inlineAssets', () => {
+  test('should inline stylesheets with nested imports and assets', async () => {
+    const ast = htmlToJson('<html><head><link rel="stylesheet" href="css/main.css" media="screen"><link rel="alternate stylesheet" href="css/print.css" title="p"></head></html>');
+    const report = await inlineAssets(ast, loader, { documentUrl, maxDataUriSize: 10 });
+
+    assert.strictEqual(jsonToHtml(querySelector(ast, 'head')), [
+      '<head><style media="screen">',
+      '@import "css/main.css";\nhtml { font-family: x; }\n@font-face { src: url(data:font/woff2;base64,AQID); }\n',
+      '@media print {\na { color: black; }\n}\n',
+      'body { background: url(data:image/png;base64,cG5n); }\n',
+      '.big { background: url("img/big.jpg"); }',
+      '</style><link rel="alternate stylesheet" href="css/print.css" title="p"></head>',
+    ].join(''));
+    assert.deepStrictEqual(
+      report.filter(({ status }) => status !== 'inlined'),
+      [{ url: 'file:///site/img/big.jpg', kind: 'image', status: 'too-large', size: 100 }],
+    );
+  });
+
+  test('should keep the @import rules that stay in front of inlined rules', async () => {
+    const sheets = {
+      'file:///site/css/site.css': '@charset "utf-8";\n@import "base.css";\n@import url(https://fonts.example.com/a.css);\nb { color: blue; }',
+      'file:///site/css/base.css': 'p { color: red; }\n@import "missing.css" screen;',
+      'file:///site/css/screen.css': '@import url(https://cdn.example.com/x.css);\ni { color: green; }',
+    };
+    const ast = htmlToJson('<html><head><link rel="stylesheet" href="css/site.css"><link rel="stylesheet" href="css/x.css"></head></html>');
+    sheets['file:///site/css/x.css'] = '@import "screen.css" screen;\n@import "base.css";\nu { color: black; }';
+    await inlineAssets(ast, async (url) => sheets[url] ?? null, { documentUrl });
+
+    const [site, x] = querySelector(ast, 'head').children.map((node) => node.children[0]);
+    assert.strictEqual(site, [
+      '@charset "utf-8";\n',
+      '@import "css/missing.css" screen;\n',
+      '@import url(https://fonts.example.com/a.css);\n',
+      'p { color: red; }\n\n',
+      'b { color: blue; }',
+    ].join(''));
+    // a conditional import whose stylesheet keeps imports of its own is not inlined
+    assert.strictEqual(x, [
+      '@import "css/screen.css" screen;\n',
+      '@import "css/missing.css" screen;\n',
+      'p { color: red; }\n\n',
+      'u { color: black; }',
+    ].join(''));
+  });
+
+  test('should inline scripts and keep their loading semantics', async () => {
+    const ast = htmlToJson([
+      '<html><head>',
+      '<script src="js/late.js" defer integrity="sha384-x" crossorigin="anonymous"></script>',
+      '<script src="js/app.js" id="app"></script>',
+      '<script src="js/mod.mjs" type="module"></script>',
+      '<script src="js/cdn.mjs" type="module"></script>',
+      '<script src="js/meta.mjs" type="module"></script>',
+      '<script src="js/lazy.mjs" type="module"></script>',
+      '<script src="js/missing.js"></script>',
+      '</head><body><p>x</p></body></html>',
+    ].join(''));
+    const report = await inlineAssets(ast, loader, { documentUrl });
+
+    assert.strictEqual(jsonToHtml(ast), [
+      '<html><head>',
+      '<script id="app">if (a <\\/script> b) {}</script>',
+      '<script src="js/mod.mjs" type="module"></script>',
+      '<script type="module">import x from "https://cdn.example.com/x.mjs";</script>',
+      '<script src="js/meta.mjs" type="module"></script>',
+      '<script src="js/lazy.mjs" type="module"></script>',
+      '<script src="js/missing.js"></script>',
+      '</head><body><p>x</p><script>late()</script></body></html>',
+    ].join(''));
+    assert.deepStrictEqual(report.filter(({ status }) => status !== 'inlined').map(({ url, status }) => [url, status]), [
+      ['file:///site/js/mod.mjs', 'relative-imports'],
+      ['file:///site/js/meta.mjs', 'relative-imports'],
+      ['file:///site/js/lazy.mjs', 'relative-imports'],
+      ['file:///site/js/missing.js', 'missing'],
+    ]);
+  });
+
+  test('should turn small images into data URIs', async () => {
+    const ast = htmlToJson([
+      '<html><head><link rel="icon" href="img/logo.svg"><link rel="preload" as="image" href="img/dot.png"></head><body>',
+      '<img src="img/dot.png" srcset="img/dot.png 1x, img/big.jpg 2x">',
+      '<div style="background: url(img/dot.png)"></div>',
+      '<style>p { background: url(img/dot.png) }</style>',
+      '</body></html>',
+    ].join(''));
+    await inlineAssets(ast, loader, { documentUrl, maxDataUriSize: 10 });
+
+    assert.strictEqual(jsonToHtml(ast), [
+      '<html><head><link rel="icon" href="data:image/svg+xml;base64,PHN2Zy8+"><link rel="preload" as="image" href="img/dot.png"></head><body>',
+      '<img src="data:image/png;base64,cG5n" srcset="data:image/png;base64,cG5n 1x, img/big.jpg 2x">',
+      '<div style="background: url(data:image/png;base64,cG5n)"></div>',
+      '<style>p { background: url(data:image/png;base64,cG5n) }</style>',
+      '</body></html>',
+    ].join(''));
+  });
+
+  test('should respect the feature switches', async () => {
+    const html = '<html><head><link rel="stylesheet" href="css/print.css"><script src="js/late.js"></script></head><body><img src="img/dot.png"></body></html>';
+    const ast = htmlToJson(html);
+    assert.deepStrictEqual(await inlineAssets(ast, loader, { documentUrl, stylesheets: false, scripts: false, images: false }), []);
+    assert.strictEqual(jsonToHtml(ast), html);
+
+    const styled = htmlToJson('<html><head><link rel="stylesheet" href="css/main.css"><style>p { background: url(img/dot.png) }</style></head><body><div style="background: url(img/dot.png)"></div></body></html>');
+    await inlineAssets(styled, loader, { documentUrl, images: false });
+    const head = jsonToHtml(querySelector(styled, 'head'));
+    assert.ok(!head.includes('data:'));
+    assert.ok(head.includes('url(css/fonts/a.woff2)'));
+    assert.ok(head.includes('body { background: url(img/dot.png); }'));
+    assert.ok(head.includes('<style>p { background: url(img/dot.png) }</style>'));
+    assert.strictEqual(jsonToHtml(querySelector(styled, 'div')), '<div style="background: url(img/dot.png)"></div>');
+  });
+});
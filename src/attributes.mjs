@@ -0,0 +1,10 @@
+// attributes whose whole value is a single URL
+const RESOURCE_ATTRS = ['src', 'href', 'data', 'action', 'formaction', 'poster', 'codebase', 'xlink:href'];
+
+// attributes holding a comma-separated list of image candidates
+const SRCSET_ATTRS = ['srcset', 'imagesrcset'];
+
+export {
+  RESOURCE_ATTRS,
+  SRCSET_ATTRS,
+};
@@ -0,0 +1,97 @@
+import { VOID_TAGS } from './serializer.mjs';
+
+const NODE_TYPES = ['document', 'doctype', 'comment', 'cdata', 'raw'];
+
+// attribs can have `name` and `type` keys too, so nodes are told apart by their shape
+const isNode = (value) => value != null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && ((typeof value.name === 'string' && Array.isArray(value.children))
+    || (NODE_TYPES.includes(value.type) && (typeof value.content === 'string' || Array.isArray(value.children))));
+
+/**
+ * Flattens nested arrays of children, dropping `null`, `undefined`, booleans
+ * and empty strings so that `cond && h(...)` can be written inline.
+ */
+const normalizeChildren = (children) => children.flat(Infinity).flatMap((child) => {
+  if (child == null || typeof child === 'boolean' || child === '') {
+    return [];
+  }
+  if (typeof child === 'string' || typeof child === 'number' || typeof child === 'bigint') {
+    return [String(child)];
+  }
+  if (isNode(child)) {
+    return [child];
+  }
+  throw new TypeError(`Invalid child ${Object.prototype.toString.call(child)}, expected a node, string or number`);
+});
+
+const toClassName = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(toClassName).filter(Boolean).join(' ');
+  }
+  if (value != null && typeof value === 'object') {
+    return Object.keys(value).filter((key) => value[key]).join(' ');
+  }
+  return value ? String(value) : '';
+};
+
+const toStyleText = (value) => {
+  if (value == null || typeof value !== 'object') {
+    return value == null || value === false ? '' : String(value);
+  }
+  return Object.entries(value)
+    .filter(([, item]) => item != null && item !== false && item !== '')
+    // custom properties keep their case, `backgroundColor` becomes `background-color`
+    .map(([key, item]) => `${key.startsWith('--') ? key : key.replace(/[A-Z]/g, (ch) => `-${ch.toLowerCase()}`)}: ${item}`)
+    .join('; ');
+};
+
+const normalizeAttribute = (key, value) => {
+  if (key === 'class') {
+    return toClassName(value) || null;
+  }
+  if (key === 'style') {
+    return toStyleText(value) || null;
+  }
+  if (value == null || value === false) {
+    return null;
+  }
+  // parsed documents store boolean attributes as empty strings
+  return value === true ? '' : String(value);
+};
+
+const normalizeAttribs = (attribs) => Object.fromEntries(Object.entries(attribs ?? {})
+  .map(([key, value]) => [key, normalizeAttribute(key, value)])
+  .filter(([, value]) => value != null));
+
+/**
+ * Builds an element node: `h('a', { href }, 'text')`. The attributes can be
+ * left out when the second argument is already a child.
+ */
+const h = (name, attribs, ...children) => {
+  if (typeof name !== 'string' || !name) {
+    throw new TypeError('Expected the element name to be a non-empty string');
+  }
+  let props = attribs;
+  let rest = children;
+  if (props != null && (typeof props !== 'object' || Array.isArray(props) || isNode(props))) {
+    props = null;
+    rest = [attribs, ...children];
+  }
+  const nodes = normalizeChildren(rest);
+  if (nodes.length && VOID_TAGS.includes(name.toLowerCase())) {
+    throw new Error(`Void element <${name}> cannot have children`);
+  }
+  return {
+    name,
+    attribs: normalizeAttribs(props),
+    children: nodes,
+  };
+};
+
+export {
+  h,
+  isNode,
+  normalizeChildren,
+};
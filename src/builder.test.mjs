@@ -0,0 +1,101 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+
+import { h } from './builder.mjs';
+import { fragmentToJson, jsonToHtml } from './index.mjs';
+
+describe('h', () => {
+  test('should build element nodes', () => {
+    assert.deepStrictEqual(h('a', { href: '/docs' }, 'Docs'), {
+      name: 'a',
+      attribs: { href: '/docs' },
+      children: ['Docs'],
+    });
+    assert.deepStrictEqual(h('br'), { name: 'br', attribs: {}, children: [] });
+  });
+
+  test('should allow leaving the attributes out', () => {
+    assert.deepStrictEqual(h('p', 'Hello ', h('b', 'world')), {
+      name: 'p',
+      attribs: {},
+      children: ['Hello ', { name: 'b', attribs: {}, children: ['world'] }],
+    });
+    assert.deepStrictEqual(h('ul', [h('li', 'a')]).children, [{ name: 'li', attribs: {}, children: ['a'] }]);
+    assert.deepStrictEqual(h('p', { type: 'comment', content: 'x' }).children, [{ type: 'comment', content: 'x' }]);
+  });
+
+  test('should not mistake attributes named like node fields for nodes', () => {
+    assert.deepStrictEqual(h('meta', { name: 'viewport', content: 'width=device-width' }).attribs, {
+      name: 'viewport',
+      content: 'width=device-width',
+    });
+    assert.deepStrictEqual(h('input', { type: 'text', name: 'q' }).attribs, { type: 'text', name: 'q' });
+  });
+
+  test('should flatten children and drop empty ones', () => {
+    const items = ['a', 'b'];
+    const node = h('ul', null, items.map((item) => h('li', null, item)), [[null, false, true, undefined, '']], 0, 1n);
+    assert.deepStrictEqual(node.children.map((child) => child.name ?? child), ['li', 'li', '0', '1']);
+  });
+
+  test('should throw on invalid children', () => {
+    assert.throws(() => h('div', null, () => {}), TypeError);
+    assert.throws(() => h('div', null, { foo: 1 }), TypeError);
+    assert.throws(() => h('div', null, Symbol('x')), TypeError);
+  });
+
+  test('should normalize class arrays and objects', () => {
+    assert.strictEqual(h('div', { class: ['a', null, ['b', { c: true, d: false }], ''] }).attribs.class, 'a b c');
+    assert.strictEqual(h('div', { class: { active: 1, hidden: 0 } }).attribs.class, 'active');
+    assert.deepStrictEqual(h('div', { class: [false, null] }).attribs, {});
+  });
+
+  test('should normalize style objects', () => {
+    const node = h('div', {
+      style: {
+        backgroundColor: 'red',
+        '--Main-Color': '#fff',
+        'font-size': '12px',
+        margin: null,
+        padding: false,
+      },
+    });
+    assert.strictEqual(node.attribs.style, 'background-color: red; --Main-Color: #fff; font-size: 12px');
+    assert.strictEqual(h('div', { style: 'color: red' }).attribs.style, 'color: red');
+    assert.deepStrictEqual(h('div', { style: {} }).attribs, {});
+  });
+
+  test('should convert attribute values', () => {
+    assert.deepStrictEqual(h('input', {
+      disabled: true,
+      checked: false,
+      value: 0,
+      placeholder: null,
+      maxlength: 10,
+      title: undefined,
+    }).attribs, { disabled: '', value: '0', maxlength: '10' });
+  });
+
+  test('should reject void elements with children', () => {
+    assert.throws(() => h('img', { src: 'a.png' }, 'alt'), {
+      message: 'Void element <img> cannot have children',
+    });
+    assert.throws(() => h('BR', null, h('span')), /cannot have children/);
+    assert.doesNotThrow(() => h('img', { src: 'a.png' }, null, false, []));
+  });
+
+  test('should require an element name', () => {
+    assert.throws(() => h(''), TypeError);
+    assert.throws(() => h(null), TypeError);
+  });
+
+  test('should build trees the serializer and parser agree on', () => {
+    const tree = h('nav', { class: ['menu', { open: true }] }, [
+      h('a', { href: '/?a=1&b=2' }, 'Home'),
+      h('input', { disabled: true }),
+    ]);
+    const html = jsonToHtml(tree);
+    assert.strictEqual(html, '<nav class="menu open"><a href="/?a=1&amp;b=2">Home</a><input disabled></nav>');
+    assert.deepStrictEqual(fragmentToJson(html), [tree]);
+  });
+});
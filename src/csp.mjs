@@ -0,0 +1,119 @@
+import { createHash, randomBytes } from 'node:crypto';
+
+import { resolveUrl } from './url.mjs';
+
+const HASH_ALGORITHMS = ['sha256', 'sha384', 'sha512'];
+
+// script types the browser executes, and so checks against script-src
+const JS_TYPE_RE = /^(?:(?:text|application)\/(?:x-)?(?:java|ecma)script|module|importmap|speculationrules)$/i;
+
+/**
+ * Parses a policy into `[directive, sources]` pairs, keeping their order.
+ * Directive names are lowercased; later duplicates are ignored, like browsers do.
+ */
+const parseCsp = (policy) => {
+  const directives = [];
+  String(policy ?? '').split(';').forEach((part) => {
+    const [name, ...sources] = part.trim().split(/\s+/);
+    if (!name) {
+      return;
+    }
+    const directive = name.toLowerCase();
+    if (!directives.some(([existing]) => existing === directive)) {
+      directives.push([directive, sources]);
+    }
+  });
+  return directives;
+};
+
+const serializeCsp = (directives) => directives
+  .map(([name, sources]) => [name, ...sources].join(' '))
+  .join('; ');
+
+/**
+ * Adds sources to a directive, creating it from `default-src` (or `'self'`)
+ * when missing so that the fallback keeps allowing what it allowed before.
+ */
+const addCspSources = (directives, directive, sources) => {
+  let entry = directives.find(([name]) => name === directive);
+  if (!entry) {
+    const fallback = directives.find(([name]) => name === 'default-src');
+    entry = [directive, fallback ? [...fallback[1]] : ['\'self\'']];
+    directives.push(entry);
+  }
+  sources.forEach((source) => {
+    if (!entry[1].includes(source)) {
+      entry[1].push(source);
+    }
+  });
+  return directives;
+};
+
+/**
+ * Sources of the first of `names` present in the policy, in the fallback
+ * order browsers use, or null when the policy has none of them.
+ */
+const getCspSources = (directives, names) => names
+  .map((name) => directives.find(([directive]) => directive === name))
+  .find(Boolean)?.[1] ?? null;
+
+// browsers ignore 'unsafe-inline' next to a hash, a nonce or 'strict-dynamic'
+const allowsUnsafeInline = (sources) => sources == null || (
+  sources.includes('\'unsafe-inline\'')
+  && !sources.some((source) => /^'(?:nonce-|sha(?:256|384|512)-|strict-dynamic')/.test(source))
+);
+
+const hashCspSource = (text, algorithm = 'sha256') => {
+  if (!HASH_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown hash algorithm "${algorithm}", expected one of ${HASH_ALGORITHMS.join(', ')}`);
+  }
+  return `'${algorithm}-${createHash(algorithm).update(text, 'utf8').digest('base64')}'`;
+};
+
+const createNonce = () => randomBytes(16).toString('base64');
+
+const getCspNonce = (directives) => {
+  for (const [, sources] of directives) {
+    const match = sources.map((source) => source.match(/^'nonce-([^']+)'$/)).find(Boolean);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+};
+
+/**
+ * The source expression that allows loading `url`, or null for relative URLs,
+ * which `'self'` already covers. Scheme-relative URLs keep only the host.
+ */
+const getCspOrigin = (url) => {
+  const value = String(url ?? '').trim();
+  if (value.startsWith('//')) {
+    const resolved = resolveUrl(value, 'https://localhost');
+    return resolved && new URL(resolved).host;
+  }
+  const resolved = resolveUrl(value);
+  if (!resolved) {
+    return null;
+  }
+  const { protocol, origin } = new URL(resolved);
+  return protocol === 'http:' || protocol === 'https:' ? origin : protocol;
+};
+
+const isExecutableScript = (attribs = {}) => {
+  const type = attribs.type?.trim();
+  return !type || JS_TYPE_RE.test(type);
+};
+
+export {
+  addCspSources,
+  allowsUnsafeInline,
+  createNonce,
+  getCspNonce,
+  getCspOrigin,
+  getCspSources,
+  hashCspSource,
+  isExecutableScript,
+  parseCsp,
+  serializeCsp,
+};
@@ -0,0 +1,173 @@
+import assert from 'node:assert';
+import { createHash } from 'node:crypto';
+import { describe, test } from 'node:test';
+
+import { addCspSources, getCspOrigin, parseCsp, serializeCsp } from './csp.mjs';
+import {
+  applyCsp,
+  createHtmlDocument,
+  htmlToJson,
+  insertInlineScript,
+  insertInlineStyle,
+  jsonToHtml,
+  querySelector,
+  querySelectorAll,
+} from './index.mjs';
+
+const sha = (algorithm, text) => `'${algorithm}-${createHash(algorithm).update(text).digest('base64')}'`;
+
+describe('parseCsp / serializeCsp', () => {
+  test('should keep directive order and ignore duplicates', () => {
+    const directives = parseCsp(' default-src \'self\'; Script-Src a.com  b.com;; script-src c.com ');
+    assert.deepStrictEqual(directives, [
+      ['default-src', ['\'self\'']],
+      ['script-src', ['a.com', 'b.com']],
+    ]);
+    assert.strictEqual(serializeCsp(directives), 'default-src \'self\'; script-src a.com b.com');
+  });
+
+  test('should start a missing directive from default-src', () => {
+    const directives = addCspSources(parseCsp('default-src \'self\' cdn.com'), 'style-src', ['\'sha256-x\'']);
+    assert.strictEqual(serializeCsp(directives), 'default-src \'self\' cdn.com; style-src \'self\' cdn.com \'sha256-x\'');
+    assert.strictEqual(serializeCsp(addCspSources([], 'script-src', ['a'])), 'script-src \'self\' a');
+  });
+});
+
+describe('getCspOrigin', () => {
+  test('should return the source expression covering a URL', () => {
+    assert.strictEqual(getCspOrigin('https://cdn.example.com:8443/lib/a.js?v=1'), 'https://cdn.example.com:8443');
+    assert.strictEqual(getCspOrigin(' //fonts.example.com/a.css'), 'fonts.example.com');
+    assert.strictEqual(getCspOrigin('data:text/css,p{}'), 'data:');
+    assert.strictEqual(getCspOrigin('/js/app.js'), null);
+    assert.strictEqual(getCspOrigin('app.js'), null);
+  });
+});
+
+describe('applyCsp', () => {
+  test('should hash inline scripts and styles into a meta policy', () => {
+    const root = createHtmlDocument('T');
+    insertInlineScript(root, 'console.log(1)');
+    insertInlineStyle(root, 'body{margin:0}');
+    const { policy, sources } = applyCsp(root);
+
+    assert.deepStrictEqual(sources, {
+      'script-src': [sha('sha256', 'console.log(1)')],
+      'style-src': [sha('sha256', 'body{margin:0}')],
+    });
+    assert.strictEqual(policy, `script-src-elem 'self' ${sources['script-src'][0]}; style-src-elem 'self' ${sources['style-src'][0]}`);
+
+    const head = querySelector(root, 'head');
+    assert.deepStrictEqual(head.children.slice(0, 2).map((node) => node.attribs), [
+      { charset: 'utf-8' },
+      { 'http-equiv': 'Content-Security-Policy', content: policy },
+    ]);
+  });
+
+  test('should support sha384 and skip external scripts and data blocks', () => {
+    const root = htmlToJson('<html><head><script src="a.js"></script><script type="application/json">{}</script><script type="module">go()</script></head></html>');
+    const { sources } = applyCsp(root, { algorithm: 'sha384', output: 'header' });
+    assert.deepStrictEqual(sources['script-src'], [sha('sha384', 'go()')]);
+    assert.strictEqual(querySelector(root, 'meta'), null);
+    assert.throws(() => applyCsp(root, { algorithm: 'md5' }), /Unknown hash algorithm "md5"/);
+  });
+
+  test('should merge into an existing policy when called again', () => {
+    const root = htmlToJson('<html><head><meta http-equiv="content-security-policy" content="default-src \'self\'; img-src *"><script>a()</script></head></html>');
+    applyCsp(root);
+    insertInlineScript(root, 'b()');
+    const { policy } = applyCsp(root);
+
+    assert.strictEqual(querySelectorAll(root, 'meta').length, 1);
+    assert.strictEqual(policy, `default-src 'self'; img-src *; script-src 'self' ${sha('sha256', 'a()')} ${sha('sha256', 'b()')}`);
+    assert.strictEqual(querySelector(root, 'meta').attribs.content, policy);
+  });
+
+  test('should stamp one nonce and reuse it from the policy', () => {
+    const root = createHtmlDocument('T');
+    insertInlineScript(root, 'a()');
+    const { nonce, policy } = applyCsp(root, { mode: 'nonce' });
+    assert.match(nonce, /^[A-Za-z\d+/]+=*$/);
+    assert.strictEqual(policy, `script-src-elem 'self' 'nonce-${nonce}'`);
+
+    insertInlineScript(root, 'b()');
+    const second = applyCsp(root, { mode: 'nonce' });
+    assert.strictEqual(second.nonce, nonce);
+    assert.strictEqual(second.policy, policy);
+    assert.deepStrictEqual(querySelectorAll(root, 'script').map((node) => node.attribs.nonce), [nonce, nonce]);
+  });
+
+  test('should also fill -elem directives and return a header string', () => {
+    const root = htmlToJson('<html><head><style>p{}</style></head></html>');
+    const { policy } = applyCsp(root, {
+      mode: 'nonce',
+      nonce: 'abc',
+      output: 'header',
+      policy: 'style-src-elem \'self\'',
+    });
+    assert.strictEqual(policy, 'style-src-elem \'self\' \'nonce-abc\'');
+    assert.strictEqual(jsonToHtml(root), '<html><head><style nonce="abc">p{}</style></head></html>');
+  });
+
+  test('should allow the external files of a directive it creates', () => {
+    const root = htmlToJson([
+      '<html><head>',
+      '<link rel="stylesheet" href="https://cdn.example.com/a.css">',
+      '<link rel="preload stylesheet" href="//fonts.example.com/f.css">',
+      '<link rel="icon" href="https://img.example.com/i.png">',
+      '<script src="https://cdn.example.com/a.js"></script>',
+      '<script src="/local.js"></script>',
+      '<script type="application/json" src="https://data.example.com/d.json"></script>',
+      '<script>go()</script><style>p{}</style>',
+      '</head></html>',
+    ].join(''));
+    const { policy, sources } = applyCsp(root, { output: 'header' });
+    assert.deepStrictEqual(sources, {
+      'script-src': ['https://cdn.example.com', sha('sha256', 'go()')],
+      'style-src': ['https://cdn.example.com', 'fonts.example.com', sha('sha256', 'p{}')],
+    });
+    assert.strictEqual(policy, [
+      `script-src-elem 'self' https://cdn.example.com ${sha('sha256', 'go()')}`,
+      `style-src-elem 'self' https://cdn.example.com fonts.example.com ${sha('sha256', 'p{}')}`,
+    ].join('; '));
+
+    // an existing directive or default-src already decides about external files
+    const restricted = applyCsp(root, { output: 'header', policy: 'default-src \'self\'' });
+    assert.deepStrictEqual(restricted.sources['script-src'], [sha('sha256', 'go()')]);
+  });
+
+  test('should report the directives whose \'unsafe-inline\' stops applying', () => {
+    const root = htmlToJson('<html><head><script>go()</script><style>p{}</style></head></html>');
+    const { ignoredUnsafeInline } = applyCsp(root, {
+      output: 'header',
+      policy: 'script-src \'self\' \'unsafe-inline\'; script-src-elem \'unsafe-inline\'; style-src \'self\'',
+    });
+    assert.deepStrictEqual(ignoredUnsafeInline, ['script-src', 'script-src-elem']);
+    assert.deepStrictEqual(applyCsp(root, { output: 'header' }).ignoredUnsafeInline, []);
+  });
+
+  test('should keep inline style and event attributes working', () => {
+    const root = htmlToJson('<html><head><style>p{}</style><script>go()</script></head><body><div style="color:blue" onclick="go()"></div></body></html>');
+    const created = applyCsp(root, { output: 'header' });
+    assert.strictEqual(created.policy, `script-src-elem 'self' ${sha('sha256', 'go()')}; style-src-elem 'self' ${sha('sha256', 'p{}')}`);
+    assert.deepStrictEqual(created.blockedAttributes, []);
+
+    const merged = applyCsp(root, { output: 'header', policy: 'default-src \'self\' \'unsafe-inline\'' });
+    assert.strictEqual(merged.policy, [
+      'default-src \'self\' \'unsafe-inline\'',
+      `script-src 'self' 'unsafe-inline' ${sha('sha256', 'go()')}`,
+      'script-src-attr \'unsafe-inline\'',
+      `style-src 'self' 'unsafe-inline' ${sha('sha256', 'p{}')}`,
+      'style-src-attr \'unsafe-inline\'',
+    ].join('; '));
+    assert.deepStrictEqual(merged.blockedAttributes, []);
+  });
+
+  test('should report the inline attributes the policy blocks', () => {
+    const root = htmlToJson('<html><head><style>p{}</style></head><body><div style="color:blue" onclick="go()"></div></body></html>');
+    const { blockedAttributes } = applyCsp(root, { output: 'header', policy: 'default-src \'self\'' });
+    assert.deepStrictEqual(blockedAttributes, [
+      { directive: 'style-src', name: 'div', attribute: 'style' },
+      { directive: 'script-src', name: 'div', attribute: 'onclick' },
+    ]);
+  });
+});
@@ -0,0 +1,228 @@
+const CSS_URL_RE = /\/\*[\s\S]*?\*\/|(@import\s*)?(?:\burl\(\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^)'"\s]*))\s*\)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)')/dgi;
+const QUOTES = ['"', '\'', '', '"', '\''];
+
+const unescapeCss = (value) => value.replace(/\\(.)/g, '$1');
+
+const findFontFaceRanges = (css) => {
+  const ranges = [];
+  const re = /@font-face\s*\{/gi;
+  let match;
+  while ((match = re.exec(css))) {
+    let depth = 1;
+    let pos = re.lastIndex;
+    while (pos < css.length && depth > 0) {
+      if (css[pos] === '{') {
+        depth++;
+      } else if (css[pos] === '}') {
+        depth--;
+      }
+      pos++;
+    }
+    ranges.push([match.index, pos]);
+    re.lastIndex = pos;
+  }
+  return ranges;
+};
+
+/**
+ * Finds every `url(...)` and `@import "..."` reference in a stylesheet or a
+ * style attribute, skipping comments and unrelated strings. Offsets cover the
+ * URL text (without quotes). `type` is `'import'` for `@import` rules, and
+ * `inFontFace` marks references inside `@font-face` blocks.
+ */
+const findCssUrls = (css) => {
+  const urls = [];
+  const input = String(css ?? '');
+  const fontFaceRanges = findFontFaceRanges(input);
+
+  for (const match of input.matchAll(CSS_URL_RE)) {
+    const group = [2, 3, 4, 5, 6].find((index) => match[index]);
+    const isImport = match[1] != null;
+    // bare strings are only URLs after @import
+    if (!group || (group >= 5 && !isImport)) {
+      continue;
+    }
+    const [start, end] = match.indices[group];
+    const quote = QUOTES[group - 2];
+    urls.push({
+      value: quote ? unescapeCss(match[group]) : match[group],
+      quote,
+      start,
+      end,
+      type: isImport ? 'import' : 'url',
+      inFontFace: fontFaceRanges.some(([from, to]) => start > from && end < to),
+    });
+  }
+
+  return urls;
+};
+
+const quoteCssUrl = (url, quote) => {
+  if (quote) {
+    return url.replace(/\\/g, '\\\\').replace(new RegExp(quote, 'g'), `\\${quote}`);
+  }
+  if (/[\s()'"\\]/.test(url)) {
+    return null;
+  }
+  return url;
+};
+
+/**
+ * Rewrites the references found by `findCssUrls` in place. `replacer(entry)` returns the new URL,
+ * or undefined to keep it. Unquoted URLs that need quoting are wrapped in double quotes.
+ */
+const replaceCssUrls = (css, replacer) => {
+  const input = String(css ?? '');
+  const urls = findCssUrls(input);
+  const replacements = urls.map(replacer);
+  let result = input;
+
+  for (let i = urls.length - 1; i >= 0; i--) {
+    const entry = urls[i];
+    const url = replacements[i];
+    if (url === undefined || url === entry.value) {
+      continue;
+    }
+    const escaped = quoteCssUrl(url, entry.quote);
+    const replacement = escaped ?? `"${quoteCssUrl(url, '"')}"`;
+    result = `${result.slice(0, entry.start)}${replacement}${result.slice(entry.end)}`;
+  }
+
+  return result;
+};
+
+const CLOSING_BRACKETS = { '(': ')', '[': ']', '{': '}' };
+
+/**
+ * Scans from `pos` to the first of `stops` outside comments, strings and
+ * nested brackets, and returns its index (or the end of the input).
+ */
+const scanCss = (css, pos, stops) => {
+  const expected = [];
+  let i = pos;
+  while (i < css.length) {
+    const ch = css[i];
+    if (ch === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2);
+      i = end === -1 ? css.length : end + 2;
+      continue;
+    }
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === '"' || ch === '\'') {
+      i++;
+      while (i < css.length && css[i] !== ch && css[i] !== '\n') {
+        i += css[i] === '\\' ? 2 : 1;
+      }
+      i++;
+      continue;
+    }
+    if (!expected.length && stops.includes(ch)) {
+      return i;
+    }
+    if (CLOSING_BRACKETS[ch]) {
+      expected.push(CLOSING_BRACKETS[ch]);
+    } else if (ch === expected[expected.length - 1]) {
+      expected.pop();
+    }
+    i++;
+  }
+  return css.length;
+};
+
+const stripCssComments = (css) => css.replace(/\/\*[\s\S]*?\*\//g, '');
+
+/**
+ * Splits a stylesheet into its top-level rules: `{ type: 'rule', selector,
+ * body }` for style rules and `{ type: 'at-rule', text }` for everything
+ * starting with `@`. `start` and `end` give each rule's range in the input.
+ */
+const parseCssRules = (css) => {
+  const input = String(css ?? '');
+  const rules = [];
+  let pos = 0;
+  while (pos < input.length) {
+    const rest = input.slice(pos).match(/^(?:\s|\/\*[\s\S]*?\*\/|<!--|-->)*/)[0];
+    pos += rest.length;
+    if (pos >= input.length) {
+      break;
+    }
+    const start = pos;
+    const stop = scanCss(input, pos, input[pos] === '@' ? ['{', ';'] : ['{']);
+    if (input[stop] !== '{') {
+      rules.push({ type: 'at-rule', text: input.slice(start, stop + 1), start, end: Math.min(stop + 1, input.length) });
+      pos = stop + 1;
+      continue;
+    }
+    const close = scanCss(input, stop + 1, ['}']);
+    const end = Math.min(close + 1, input.length);
+    if (input[start] === '@') {
+      rules.push({ type: 'at-rule', text: input.slice(start, end), start, end });
+    } else {
+      rules.push({
+        type: 'rule',
+        selector: stripCssComments(input.slice(start, stop)).trim(),
+        body: input.slice(stop + 1, close),
+        start,
+        end,
+      });
+    }
+    pos = end;
+  }
+  return rules;
+};
+
+/**
+ * Parses a declaration block (a rule body or a style attribute) into
+ * `{ property, value, important }` entries. Property names are lowercased
+ * except for custom properties.
+ */
+const parseDeclarations = (text) => {
+  const input = String(text ?? '');
+  const declarations = [];
+  let pos = 0;
+  while (pos < input.length) {
+    const end = scanCss(input, pos, [';']);
+    const declaration = stripCssComments(input.slice(pos, end)).trim();
+    pos = end + 1;
+    const colon = declaration.indexOf(':');
+    if (colon < 1) {
+      continue;
+    }
+    const name = declaration.slice(0, colon).trim();
+    let value = declaration.slice(colon + 1).trim();
+    const important = /!\s*important$/i.test(value);
+    if (important) {
+      value = value.replace(/\s*!\s*important$/i, '');
+    }
+    if (value) {
+      declarations.push({
+        property: name.startsWith('--') ? name : name.toLowerCase(),
+        value,
+        important,
+      });
+    }
+  }
+  return declarations;
+};
+
+const splitSelectorList = (selector) => {
+  const items = [];
+  let pos = 0;
+  while (pos <= selector.length) {
+    const end = scanCss(selector, pos, [',']);
+    items.push(selector.slice(pos, end).trim());
+    pos = end + 1;
+  }
+  return items.filter(Boolean);
+};
+
+export {
+  findCssUrls,
+  parseCssRules,
+  parseDeclarations,
+  replaceCssUrls,
+  splitSelectorList,
+};
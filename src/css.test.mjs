@@ -0,0 +1,72 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+
+import {
+  findCssUrls,
+  parseCssRules,
+  parseDeclarations,
+  replaceCssUrls,
+  splitSelectorList,
+} from './css.mjs';
+
+describe('findCssUrls', () => {
+  test('should find quoted and unquoted urls with offsets', () => {
+    const css = 'a { background: url( "a b.png" ), url(c.png); } b { src: url(\'d\\\'x.woff\') }';
+    const urls = findCssUrls(css);
+    assert.deepStrictEqual(urls.map(({ value, quote }) => [value, quote]), [
+      ['a b.png', '"'],
+      ['c.png', ''],
+      ['d\'x.woff', '\''],
+    ]);
+    assert.strictEqual(css.slice(urls[1].start, urls[1].end), 'c.png');
+  });
+
+  test('should skip comments and empty urls', () => {
+    assert.deepStrictEqual(findCssUrls('/* url(a.png) */ a { b: url() }'), []);
+  });
+});
+
+describe('replaceCssUrls', () => {
+  test('should keep quote style and formatting', () => {
+    const css = 'a{background:url( "a.png" )} b{background:url(b.png)}';
+    const result = replaceCssUrls(css, ({ value }) => `/static/${value}`);
+    assert.strictEqual(result, 'a{background:url( "/static/a.png" )} b{background:url(/static/b.png)}');
+  });
+
+  test('should quote unquoted urls when needed', () => {
+    assert.strictEqual(
+      replaceCssUrls('a{b:url(x.png)}', () => 'my "file".png'),
+      'a{b:url("my \\"file\\".png")}',
+    );
+  });
+});
+
+describe('parseCssRules', () => {
+  test('should split style rules and at-rules', () => {
+    const css = '/* c */ @import "a.css";\np, a[title="{;}"] { color: red; }\n@media (max-width: 600px) { p { color: blue } }\n.x{}';
+    const rules = parseCssRules(css);
+    assert.deepStrictEqual(rules.map(({ type, selector, body, text }) => [type, selector ?? text, body]), [
+      ['at-rule', '@import "a.css";', undefined],
+      ['rule', 'p, a[title="{;}"]', ' color: red; '],
+      ['at-rule', '@media (max-width: 600px) { p { color: blue } }', undefined],
+      ['rule', '.x', ''],
+    ]);
+    assert.strictEqual(css.slice(rules[1].start, rules[1].end), 'p, a[title="{;}"] { color: red; }');
+  });
+});
+
+describe('parseDeclarations', () => {
+  test('should parse values with strings, urls and !important', () => {
+    assert.deepStrictEqual(parseDeclarations('COLOR: red !important; background: url("a;b.png"); /* x */ --Gap: 1px;; bad'), [
+      { property: 'color', value: 'red', important: true },
+      { property: 'background', value: 'url("a;b.png")', important: false },
+      { property: '--Gap', value: '1px', important: false },
+    ]);
+  });
+});
+
+describe('splitSelectorList', () => {
+  test('should split on top-level commas only', () => {
+    assert.deepStrictEqual(splitSelectorList('a, p:not(.a, .b) ,[title=","]'), ['a', 'p:not(.a, .b)', '[title=","]']);
+  });
+});
@@ -0,0 +1,212 @@
+import { isExecutableScript } from './csp.mjs';
+
+// lower ranks go first; nodes of equal rank keep their document order
+const HEAD_PRIORITIES = {
+  charset: 0,
+  csp: 1,
+  viewport: 2,
+  base: 3,
+  title: 4,
+  preconnect: 5,
+  script: 6,
+  'async-script': 6,
+  stylesheet: 7,
+  preload: 8,
+  'deferred-script': 9,
+  other: 10,
+};
+
+const CONSTRAINT_MESSAGES = {
+  'render-blocking-order': 'blocking scripts and stylesheets must keep their relative order',
+  'deferred-order': 'deferred scripts run in document order',
+  csp: 'the Content-Security-Policy meta only applies to scripts and styles after it',
+  'base-url': '<base> changes how the URLs after it resolve',
+  'import-map': 'the import map must come before module scripts',
+  'script-dom-order': 'a parser-blocking script can read the elements parsed before it',
+};
+
+const isElementNode = (node) => node != null && typeof node === 'object' && !node.type && Boolean(node.name);
+
+const getRels = (attribs) => (attribs.rel ?? '').toLowerCase().split(/\s+/);
+
+const getLinkCategory = (attribs) => {
+  const rels = getRels(attribs);
+  if (rels.includes('preconnect') || rels.includes('dns-prefetch')) {
+    return 'preconnect';
+  }
+  // alternate stylesheets do not block rendering
+  if (rels.includes('stylesheet') && !rels.includes('alternate')) {
+    return 'stylesheet';
+  }
+  if (['preload', 'modulepreload', 'prefetch', 'prerender'].some((rel) => rels.includes(rel))) {
+    return 'preload';
+  }
+  return 'other';
+};
+
+const getScriptCategory = (attribs) => {
+  if (!isExecutableScript(attribs)) {
+    return 'other';
+  }
+  const type = attribs.type?.trim().toLowerCase();
+  const isModule = type === 'module';
+  if (attribs.async != null && (attribs.src != null || isModule)) {
+    return 'async-script';
+  }
+  if (isModule || (attribs.src != null && attribs.defer != null)) {
+    return 'deferred-script';
+  }
+  return 'script';
+};
+
+const getHeadCategory = (node) => {
+  const { name, attribs = {} } = node;
+  switch (name) {
+  case 'meta': {
+    const httpEquiv = attribs['http-equiv']?.toLowerCase();
+    if (attribs.charset != null || httpEquiv === 'content-type') {
+      return 'charset';
+    }
+    if (httpEquiv === 'content-security-policy') {
+      return 'csp';
+    }
+    return attribs.name?.toLowerCase() === 'viewport' ? 'viewport' : 'other';
+  }
+  case 'base':
+  case 'title':
+    return name;
+  case 'style':
+    return 'stylesheet';
+  case 'link':
+    return getLinkCategory(attribs);
+  case 'script':
+    return getScriptCategory(attribs);
+  default:
+    return 'other';
+  }
+};
+
+const describeHeadNode = (node) => {
+  const { name, attribs = {} } = node;
+  // a noscript block stands in for what it holds, like a fallback stylesheet
+  const inner = name === 'noscript' ? (node.children ?? []).filter(isElementNode) : [];
+  if (inner.length) {
+    return inner.map(describeHeadNode).reduce((a, b) => Object.fromEntries(Object.keys(a).map((key) => {
+      if (key === 'category' || key === 'rank') {
+        return [key, (b.rank < a.rank ? b : a)[key]];
+      }
+      return [key, a[key] || b[key]];
+    })));
+  }
+  const category = getHeadCategory(node);
+  const type = attribs.type?.trim().toLowerCase();
+  return {
+    category,
+    rank: HEAD_PRIORITIES[category],
+    isCode: (name === 'script' && isExecutableScript(attribs)) || category === 'stylesheet',
+    isBlocking: category === 'script' || category === 'stylesheet',
+    isModule: (name === 'script' && type === 'module') || (name === 'link' && getRels(attribs).includes('modulepreload')),
+    isImportMap: name === 'script' && type === 'importmap',
+    // classic scripts without async or defer run as soon as they are parsed
+    isParserBlocking: name === 'script' && category === 'script' && type !== 'importmap',
+    hasUrl: attribs.src != null || attribs.href != null,
+  };
+};
+
+/**
+ * Why `a` must stay before `b` when both are in the head, or null when they can swap.
+ */
+const getOrderConstraint = (a, b) => {
+  if (a.isBlocking && b.isBlocking) {
+    return 'render-blocking-order';
+  }
+  if (a.category === 'deferred-script' && b.category === 'deferred-script') {
+    return 'deferred-order';
+  }
+  if ((a.category === 'csp' && b.isCode) || (b.category === 'csp' && a.isCode)) {
+    return 'csp';
+  }
+  if ((a.category === 'base' && b.hasUrl) || (b.category === 'base' && a.hasUrl)) {
+    return 'base-url';
+  }
+  if ((a.isImportMap && b.isModule) || (b.isImportMap && a.isModule)) {
+    return 'import-map';
+  }
+  if (b.isParserBlocking) {
+    return 'script-dom-order';
+  }
+  return null;
+};
+
+/**
+ * Splits head children into movable units: an element together with the
+ * comments before it (conditional comments belong to what follows them).
+ * Whitespace between units stays where it is.
+ */
+const splitHeadUnits = (children) => {
+  const layout = [];
+  let pending = [];
+  children.forEach((node) => {
+    if (isElementNode(node)) {
+      layout.push({ nodes: [...pending, node], element: node });
+      pending = [];
+    } else if (!pending.length && typeof node === 'string' && !node.trim()) {
+      layout.push({ nodes: [node], element: null });
+    } else {
+      pending.push(node);
+    }
+  });
+  if (pending.length) {
+    layout.push({ nodes: pending, element: null });
+  }
+  return layout;
+};
+
+/**
+ * Orders head children by priority without swapping any two nodes whose order
+ * matters. Returns the new children and a diagnostic for every node that could
+ * not move ahead of a node it outranks.
+ */
+const orderHeadChildren = (children) => {
+  const layout = splitHeadUnits(children);
+  const entries = layout
+    .filter((unit) => unit.element)
+    .map((unit, index) => ({ unit, index, ...describeHeadNode(unit.element) }));
+
+  const predecessors = entries.map((entry, j) => entries.slice(0, j)
+    .map((other) => ({ entry: other, reason: getOrderConstraint(other, entry) }))
+    .filter(({ reason }) => reason));
+
+  const placed = new Set();
+  const ordered = [];
+  while (ordered.length < entries.length) {
+    const next = entries
+      .filter((entry) => !placed.has(entry.index)
+        && predecessors[entry.index].every(({ entry: other }) => placed.has(other.index)))
+      .reduce((best, entry) => (!best || entry.rank < best.rank ? entry : best), null);
+    placed.add(next.index);
+    ordered.push(next);
+  }
+
+  const diagnostics = [];
+  entries.forEach((entry) => {
+    const blocker = predecessors[entry.index].find(({ entry: other }) => other.rank > entry.rank);
+    if (blocker) {
+      diagnostics.push({
+        node: entry.unit.element,
+        blockedBy: blocker.entry.unit.element,
+        reason: blocker.reason,
+        message: CONSTRAINT_MESSAGES[blocker.reason],
+      });
+    }
+  });
+
+  let position = 0;
+  const result = layout.flatMap((unit) => (unit.element ? ordered[position++].unit.nodes : unit.nodes));
+
+  return { children: result, diagnostics };
+};
+
+export {
+  orderHeadChildren,
+};
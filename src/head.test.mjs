@@ -0,0 +1,159 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+
+import { htmlToJson, jsonToHtml, optimizeHead, querySelector } from './index.mjs';
+
+const optimize = (head, options) => {
+  const ast = htmlToJson(`<html><head>${head}</head><body></body></html>`, options);
+  const diagnostics = optimizeHead(ast);
+  return { head: jsonToHtml(querySelector(ast, 'head').children), diagnostics };
+};
+
+describe('optimizeHead', () => {
+  test('should order the head by priority', () => {
+    const { head, diagnostics } = optimize([
+      '<meta name="description" content="d">',
+      '<script src="/defer.js" defer></script>',
+      '<link rel="preload" href="/font.woff2" as="font">',
+      '<link rel="stylesheet" href="/a.css">',
+      '<title>T</title>',
+      '<link rel="preconnect" href="https://cdn.com">',
+      '<base href="/">',
+      '<meta name="viewport" content="width=device-width">',
+      '<meta charset="utf-8">',
+    ].join(''));
+
+    assert.strictEqual(head, [
+      '<meta charset="utf-8">',
+      '<meta name="viewport" content="width=device-width">',
+      '<title>T</title>',
+      '<link rel="preconnect" href="https://cdn.com">',
+      '<link rel="stylesheet" href="/a.css">',
+      '<link rel="preload" href="/font.woff2" as="font">',
+      '<script src="/defer.js" defer></script>',
+      '<base href="/">',
+      '<meta name="description" content="d">',
+    ].join(''));
+    // moving <base> ahead would change the URLs fetched by the links and scripts before it
+    assert.deepStrictEqual(diagnostics.map(({ node, reason }) => [node.name, reason]), [['base', 'base-url']]);
+  });
+
+  test('should rank noscript blocks by the elements inside them', () => {
+    const { head, diagnostics } = optimize([
+      '<meta name="description" content="d">',
+      '<link rel="preload" href="/a.css" as="style" onload="this.rel=\'stylesheet\'">',
+      '<noscript><link rel="stylesheet" href="/a.css"></noscript>',
+      '<link rel="stylesheet" href="/b.css">',
+      '<noscript><img src="/pixel.gif"></noscript>',
+    ].join(''));
+
+    assert.strictEqual(head, [
+      '<noscript><link rel="stylesheet" href="/a.css"></noscript>',
+      '<link rel="stylesheet" href="/b.css">',
+      '<link rel="preload" href="/a.css" as="style" onload="this.rel=\'stylesheet\'">',
+      '<meta name="description" content="d">',
+      '<noscript><img src="/pixel.gif"></noscript>',
+    ].join(''));
+    assert.deepStrictEqual(diagnostics, []);
+  });
+
+  test('should move <base> first when nothing before it has a URL', () => {
+    const { head, diagnostics } = optimize('<meta name="description" content="d"><title>T</title><base href="/">');
+    assert.strictEqual(head, '<base href="/"><title>T</title><meta name="description" content="d">');
+    assert.deepStrictEqual(diagnostics, []);
+  });
+
+  test('should move async scripts ahead but keep blocking scripts after the elements before them', () => {
+    const { head, diagnostics } = optimize([
+      '<link rel="stylesheet" href="/a.css">',
+      '<link rel="preload" href="/b.js" as="script">',
+      '<script src="/b.js"></script>',
+      '<script src="/c.js" async></script>',
+    ].join(''));
+
+    assert.strictEqual(head, [
+      '<script src="/c.js" async></script>',
+      '<link rel="stylesheet" href="/a.css">',
+      '<link rel="preload" href="/b.js" as="script">',
+      '<script src="/b.js"></script>',
+    ].join(''));
+    assert.strictEqual(diagnostics.length, 1);
+    assert.strictEqual(diagnostics[0].node.attribs.src, '/b.js');
+    assert.strictEqual(diagnostics[0].blockedBy.attribs.href, '/a.css');
+    assert.strictEqual(diagnostics[0].reason, 'render-blocking-order');
+    assert.match(diagnostics[0].message, /relative order/);
+  });
+
+  test('should not hoist a parser-blocking script above elements it can read', () => {
+    const { head, diagnostics } = optimize([
+      '<meta name="app-config" content="{}">',
+      '<link rel="icon" href="/favicon.ico">',
+      '<script>document.querySelector(\'meta[name=app-config]\');</script>',
+      '<script src="/a.js" async></script>',
+    ].join(''));
+
+    assert.strictEqual(head, [
+      '<script src="/a.js" async></script>',
+      '<meta name="app-config" content="{}">',
+      '<link rel="icon" href="/favicon.ico">',
+      '<script>document.querySelector(\'meta[name=app-config]\');</script>',
+    ].join(''));
+    assert.deepStrictEqual(diagnostics.map(({ node, blockedBy, reason }) => [node.name, blockedBy.name, reason]), [
+      ['script', 'meta', 'script-dom-order'],
+    ]);
+  });
+
+  test('should keep deferred scripts, modules and import maps in order', () => {
+    const { head, diagnostics } = optimize([
+      '<script type="module">import "a";</script>',
+      '<script src="/b.js" defer></script>',
+      '<script type="importmap">{}</script>',
+    ].join(''));
+
+    assert.strictEqual(head, [
+      '<script type="module">import "a";</script>',
+      '<script type="importmap">{}</script>',
+      '<script src="/b.js" defer></script>',
+    ].join(''));
+    assert.deepStrictEqual(diagnostics.map(({ reason }) => reason), ['import-map']);
+  });
+
+  test('should not move code across the CSP meta', () => {
+    const { head, diagnostics } = optimize([
+      '<title>T</title>',
+      '<script>a()</script>',
+      '<meta http-equiv="Content-Security-Policy" content="script-src \'self\'">',
+      '<meta charset="utf-8">',
+    ].join(''));
+
+    assert.strictEqual(head, [
+      '<meta charset="utf-8">',
+      '<title>T</title>',
+      '<script>a()</script>',
+      '<meta http-equiv="Content-Security-Policy" content="script-src \'self\'">',
+    ].join(''));
+    assert.deepStrictEqual(diagnostics.map(({ reason }) => reason), ['csp']);
+  });
+
+  test('should keep whitespace in place and comments with the next element', () => {
+    const { head } = optimize([
+      '\n  <link rel="icon" href="/i.png">',
+      '\n  <!--[if IE]><script src="/ie.js"></script><![endif]-->',
+      '\n  <link rel="stylesheet" href="/ie.css">',
+      '\n  <meta charset="utf-8">',
+      '\n',
+    ].join(''), { preserve: true });
+
+    assert.strictEqual(head, [
+      '\n  <meta charset="utf-8">',
+      '\n  <!--[if IE]><script src="/ie.js"></script><![endif]-->',
+      '\n  <link rel="stylesheet" href="/ie.css">',
+      '\n  <link rel="icon" href="/i.png">',
+      '\n',
+    ].join(''));
+  });
+
+  test('should do nothing without a head', () => {
+    assert.deepStrictEqual(optimizeHead({ name: 'html', attribs: {}, children: [] }), []);
+  });
+});
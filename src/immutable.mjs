@@ -0,0 +1,236 @@
+const DRAFT_STATE = Symbol('draftState');
+
+const isDraftable = (value) => {
+  if (value == null || typeof value !== 'object') {
+    return false;
+  }
+  if (Array.isArray(value)) {
+    return true;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+const getDraftState = (value) => (value != null && typeof value === 'object' ? value[DRAFT_STATE] : undefined);
+
+const isDraft = (value) => Boolean(getDraftState(value));
+
+const prepareCopy = (state) => {
+  if (!state.copy) {
+    state.copy = Array.isArray(state.base) ? state.base.slice() : { ...state.base };
+  }
+  return state.copy;
+};
+
+const markChanged = (state) => {
+  if (!state.modified) {
+    state.modified = true;
+    if (state.parent) {
+      markChanged(state.parent);
+    }
+  }
+};
+
+const getSource = (state) => state.copy ?? state.base;
+
+/**
+ * Copy-on-write proxy over a node or children array. Values read from the
+ * base are wrapped lazily and cached by key so identity is stable; nothing is
+ * copied until a write, and the base itself is never written to.
+ */
+const createDraft = (base, parent, scope) => {
+  const state = {
+    base,
+    parent,
+    copy: null,
+    drafts: new Map(),
+    modified: false,
+  };
+  const readProperty = (key) => {
+    if (key === DRAFT_STATE) {
+      return state;
+    }
+    const source = getSource(state);
+    if (!Object.hasOwn(source, key)) {
+      return Reflect.get(source, key);
+    }
+    const value = source[key];
+    if (value !== state.base[key] || !isDraftable(value)) {
+      return value;
+    }
+    let draft = state.drafts.get(key);
+    if (!draft) {
+      draft = createDraft(value, state, scope);
+      state.drafts.set(key, draft);
+    }
+    return draft;
+  };
+  const { proxy, revoke } = Proxy.revocable(Array.isArray(base) ? [] : {}, {
+    get: (target, key) => readProperty(key),
+    set: (target, key, value) => {
+      const source = getSource(state);
+      const current = source[key] === state.base[key] ? state.drafts.get(key) ?? source[key] : source[key];
+      if (Object.hasOwn(source, key) && current === value) {
+        return true;
+      }
+      markChanged(state);
+      prepareCopy(state)[key] = value;
+      return true;
+    },
+    deleteProperty: (target, key) => {
+      if (Object.hasOwn(getSource(state), key)) {
+        markChanged(state);
+        delete prepareCopy(state)[key];
+      }
+      return true;
+    },
+    defineProperty: (target, key, descriptor) => {
+      markChanged(state);
+      return Reflect.defineProperty(prepareCopy(state), key, descriptor);
+    },
+    has: (target, key) => key in getSource(state),
+    ownKeys: () => Reflect.ownKeys(getSource(state)),
+    getOwnPropertyDescriptor: (target, key) => {
+      const descriptor = Reflect.getOwnPropertyDescriptor(getSource(state), key);
+      if (!descriptor) {
+        return undefined;
+      }
+      // the proxy target is an empty stand-in, so only `length` may be reported non-configurable
+      return {
+        value: readProperty(key),
+        writable: true,
+        enumerable: descriptor.enumerable,
+        configurable: !(Array.isArray(base) && key === 'length'),
+      };
+    },
+    getPrototypeOf: () => Object.getPrototypeOf(base),
+    setPrototypeOf: () => {
+      throw new TypeError('Cannot change the prototype of a draft');
+    },
+  });
+  scope.push(revoke);
+  return proxy;
+};
+
+const isShallowEqual = (a, b) => {
+  if (a === b) {
+    return true;
+  }
+  if (!isDraftable(a) || !isDraftable(b) || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length
+    && keys.every((key) => Object.hasOwn(b, key) && a[key] === b[key]);
+};
+
+/**
+ * Replaces drafts inside a value with their final result. Objects that were
+ * assigned from outside the draft are fixed up in place, but only written to
+ * when they actually hold a draft, so reused base nodes are left untouched.
+ * Results equal to their base (`children = children.filter(...)` removing
+ * nothing) collapse back to the base so the subtree stays shared.
+ */
+const finalize = (value) => {
+  const state = getDraftState(value);
+  if (state) {
+    if (!state.modified) {
+      return state.base;
+    }
+    if (!state.finalized) {
+      state.finalized = true;
+      const { base, drafts } = state;
+      const copy = prepareCopy(state);
+      // drafts that were only read still sit in their slot as the base value
+      drafts.forEach((draft, key) => {
+        if (Object.hasOwn(copy, key) && copy[key] === base[key]) {
+          copy[key] = draft;
+        }
+      });
+      Object.keys(copy).forEach((key) => {
+        if (copy[key] !== base[key]) {
+          const next = finalize(copy[key]);
+          copy[key] = isShallowEqual(next, base[key]) ? base[key] : next;
+        }
+      });
+      state.result = isShallowEqual(copy, base) ? base : copy;
+    }
+    return state.result;
+  }
+  if (isDraftable(value)) {
+    Object.keys(value).forEach((key) => {
+      const next = finalize(value[key]);
+      if (next !== value[key]) {
+        value[key] = next;
+      }
+    });
+  }
+  return value;
+};
+
+/**
+ * Runs `recipe` against a draft of `root` and returns the resulting tree.
+ * Every mutating helper works on the draft; `root` is left as it was and
+ * unchanged subtrees are shared between the old and the new tree. When
+ * nothing changed `root` itself is returned. An async recipe makes the
+ * result a promise.
+ */
+const produce = (root, recipe) => {
+  if (!isDraftable(root)) {
+    throw new TypeError('Expected a node or an array of nodes');
+  }
+  if (typeof recipe !== 'function') {
+    throw new TypeError('Expected recipe to be a function');
+  }
+  const scope = [];
+  const draft = createDraft(root, null, scope);
+  const revokeAll = () => scope.forEach((revoke) => revoke());
+  const complete = () => {
+    const result = finalize(draft);
+    revokeAll();
+    return result;
+  };
+  let returned;
+  try {
+    returned = recipe(draft);
+  } catch (error) {
+    revokeAll();
+    throw error;
+  }
+  if (typeof returned?.then === 'function') {
+    return Promise.resolve(returned).then(complete, (error) => {
+      revokeAll();
+      throw error;
+    });
+  }
+  return complete();
+};
+
+/**
+ * Copies a node, its attributes and, unless `deep` is false, its descendants.
+ * A shallow clone gets its own `attribs` and `children` array but shares the
+ * child nodes.
+ */
+const cloneNode = (node, options = {}) => {
+  const { deep = true } = options;
+  if (Array.isArray(node)) {
+    return deep ? node.map((child) => cloneNode(child)) : [...node];
+  }
+  if (node == null || typeof node !== 'object') {
+    return node;
+  }
+  const clone = { ...node };
+  if (node.attribs) {
+    clone.attribs = { ...node.attribs };
+  }
+  if (Array.isArray(node.children)) {
+    clone.children = cloneNode(node.children, { deep });
+  }
+  return clone;
+};
+
+export {
+  cloneNode,
+  isDraft,
+  produce,
+};
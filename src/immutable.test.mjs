@@ -0,0 +1,140 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+
+import { cloneNode, isDraft, produce } from './immutable.mjs';
+import {
+  addIntegrity,
+  fragmentToJson,
+  htmlToJson,
+  insertLink,
+  jsonToHtml,
+  removeNodes,
+  setMeta,
+  setTitle,
+} from './index.mjs';
+
+const TEMPLATE = [
+  '<html><head><title>Home</title></head>',
+  '<body><header><nav><a href="/">Home</a></nav></header><main><p>Hello</p></main>',
+  '<script src="/app.js"></script></body></html>',
+].join('');
+
+const deepFreeze = (node) => {
+  if (node !== null && typeof node === 'object') {
+    Object.values(node).forEach(deepFreeze);
+    Object.freeze(node);
+  }
+  return node;
+};
+
+describe('produce', () => {
+  test('should leave the base untouched and share unchanged subtrees', () => {
+    const base = deepFreeze(htmlToJson(TEMPLATE));
+    const snapshot = JSON.stringify(base);
+
+    const next = produce(base, (draft) => {
+      setTitle(draft, 'About');
+      insertLink(draft, '/about.css');
+      removeNodes(draft, (node) => node.name === 'script');
+    });
+
+    assert.strictEqual(JSON.stringify(base), snapshot);
+    assert.strictEqual(jsonToHtml(next), [
+      '<html><head><title>About</title><link rel="stylesheet" href="/about.css"></head>',
+      '<body><header><nav><a href="/">Home</a></nav></header><main><p>Hello</p></main></body></html>',
+    ].join(''));
+    assert.notStrictEqual(next, base);
+    const [head, body] = next.children;
+    assert.notStrictEqual(head, base.children[0]);
+    assert.notStrictEqual(body, base.children[1]);
+    assert.strictEqual(body.children[0], base.children[1].children[0]);
+    assert.strictEqual(body.children[1], base.children[1].children[1]);
+    assert.strictEqual(isDraft(next), false);
+  });
+
+  test('should return the base when nothing changed', () => {
+    const base = htmlToJson(TEMPLATE);
+    assert.strictEqual(produce(base, (draft) => {
+      removeNodes(draft, (node) => node.name === 'video');
+      setTitle(draft, 'Home');
+    }), base);
+  });
+
+  test('should render different requests from one cached template', () => {
+    const template = htmlToJson(TEMPLATE);
+    const render = (title) => jsonToHtml(produce(template, (draft) => {
+      setTitle(draft, title);
+      setMeta(draft, { name: 'description', content: title });
+    }));
+    assert.match(render('A'), /<title>A<\/title><meta name="description" content="A">/);
+    assert.match(render('B'), /<title>B<\/title><meta name="description" content="B">/);
+    assert.strictEqual(jsonToHtml(template), jsonToHtml(htmlToJson(TEMPLATE)));
+  });
+
+  test('should keep node identity and support moving nodes', () => {
+    const base = fragmentToJson('<ul><li>a</li><li>b</li><li>c</li></ul>');
+    const next = produce(base, (draft) => {
+      const list = draft[0].children;
+      assert.strictEqual(list[0], list[0]);
+      assert.strictEqual(isDraft(list[0]), true);
+      list.push(list.shift());
+      list[0].attribs.class = 'first';
+    });
+    assert.strictEqual(jsonToHtml(next), '<ul><li class="first">b</li><li>c</li><li>a</li></ul>');
+    assert.strictEqual(jsonToHtml(base), '<ul><li>a</li><li>b</li><li>c</li></ul>');
+  });
+
+  test('should keep changes made through drafts that were only read', () => {
+    const base = fragmentToJson('<ul><li>a</li><li>b</li></ul><p>c</p>');
+    const next = produce(base, (draft) => {
+      const list = draft[0].children;
+      const [first, second] = list;
+      draft[0].children = list;
+      assert.strictEqual(draft[0].children[0], first);
+      draft[0].children.unshift('x');
+      second.attribs.class = 'b';
+      first.children.push('!');
+    });
+    assert.strictEqual(jsonToHtml(next), '<ul>x<li>a!</li><li class="b">b</li></ul><p>c</p>');
+    assert.strictEqual(jsonToHtml(base), '<ul><li>a</li><li>b</li></ul><p>c</p>');
+    assert.strictEqual(next[1], base[1]);
+  });
+
+  test('should wait for async recipes', async () => {
+    const base = htmlToJson(TEMPLATE);
+    let report;
+    const next = await produce(base, async (draft) => {
+      report = await addIntegrity(draft, () => 'console.log(1)');
+    });
+    assert.strictEqual(report[0].status, 'added');
+    assert.match(next.children[1].children[2].attribs.integrity, /^sha384-/);
+    assert.strictEqual(base.children[1].children[2].attribs.integrity, undefined);
+  });
+
+  test('should revoke drafts once finished', () => {
+    let leaked;
+    produce(htmlToJson(TEMPLATE), (draft) => {
+      leaked = draft;
+    });
+    assert.throws(() => leaked.children, TypeError);
+    assert.throws(() => produce('<p>', () => {}), TypeError);
+  });
+});
+
+describe('cloneNode', () => {
+  test('should copy deeply by default', () => {
+    const [element] = fragmentToJson('<div class="a"><p>x</p></div>');
+    const clone = cloneNode(element);
+    assert.deepStrictEqual(clone, element);
+    assert.notStrictEqual(clone.attribs, element.attribs);
+    assert.notStrictEqual(clone.children[0], element.children[0]);
+  });
+
+  test('should share children when shallow', () => {
+    const element = { name: 'div', attribs: { id: 'a' }, children: [{ name: 'p', attribs: {}, children: [] }, 'x'] };
+    const clone = cloneNode(element, { deep: false });
+    assert.notStrictEqual(clone.children, element.children);
+    assert.notStrictEqual(clone.attribs, element.attribs);
+    assert.strictEqual(clone.children[0], element.children[0]);
+  });
+});
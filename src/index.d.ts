@@ -0,0 +1,364 @@
+import type { Readable } from 'node:stream';
+
+// AST
+
+export type Attribs = Record<string, string>;
+
+export interface Point {
+  offset: number;
+  line: number;
+  column: number;
+}
+
+export interface Range {
+  start: Point;
+  end: Point;
+}
+
+/** Present on nodes parsed with `positions: true`. */
+export interface NodePosition extends Range {
+  /** Range of each attribute, including its value, keyed by name. */
+  attributes?: Record<string, Range>;
+  /** Range of each child by index; text nodes are strings, so this is their only position. */
+  children?: Range[];
+}
+
+/** Text is stored as plain strings. */
+export type TextNode = string;
+
+export interface ElementNode {
+  name: string;
+  /** `jsonToHtml` also accepts `true` and skips `false`, `null` and `undefined` values. */
+  attribs: Attribs;
+  children: Node[];
+  /** Source of the start tag, kept by `preserve`; written while it still matches `name` and `attribs`. */
+  startTag?: string;
+  position?: NodePosition;
+}
+
+export interface DocumentNode {
+  type: 'document';
+  children: Node[];
+  position?: NodePosition;
+}
+
+/** Nodes kept by `preserve: true`. `raw` content is written out without escaping. */
+export interface ContentNode {
+  type: 'doctype' | 'comment' | 'cdata' | 'processing-instruction' | 'raw';
+  content: string;
+  position?: Range;
+}
+
+export type Node = TextNode | ElementNode | DocumentNode | ContentNode;
+
+/** A document, an element, or the nodes returned by `fragmentToJson`. */
+export type Root = ElementNode | DocumentNode | Node[];
+
+/** What `hasNode` and `removeNodes` predicates receive. */
+export interface NodeProps {
+  type: 'text' | 'element' | ContentNode['type'] | 'document';
+  name: string | null;
+  attribs: Attribs | null;
+  /** The text, the node content, or the text of an element whose only child is text. */
+  content: string | null;
+}
+
+export type NodePredicate = (node: NodeProps) => boolean;
+
+// Parsing and serializing
+
+export interface ParseOptions {
+  preserve?: boolean;
+  positions?: boolean;
+}
+
+export interface FragmentOptions extends ParseOptions {
+  /** Element the fragment is parsed in, `'body'` by default. */
+  context?: string;
+}
+
+export interface SerializeOptions {
+  context?: string;
+  syntax?: 'html' | 'xhtml';
+  pretty?: boolean;
+  indent?: number | string;
+  maxLineWidth?: number;
+  minify?: boolean;
+}
+
+/** In `preserve` mode the document is returned even when the source has no `<html>` element. */
+export function htmlToJson(html: string, options: ParseOptions & { preserve: true }): DocumentNode;
+/** `null` when the source has no `<html>` element. */
+export function htmlToJson(html: string, options?: ParseOptions & { preserve?: false }): ElementNode | null;
+export function htmlToJson(html: string, options?: ParseOptions): ElementNode | DocumentNode | null;
+export function fragmentToJson(html: string, options?: FragmentOptions): Node[];
+export function jsonToHtml(ast: Node | Node[], options?: SerializeOptions): string;
+export function escapeText(text: string): string;
+export function escapeAttribute(value: string): string;
+
+export interface CodeFrameOptions {
+  linesAbove?: number;
+  linesBelow?: number;
+  message?: string;
+}
+
+export function codeFrame(
+  source: string,
+  location: number | { offset: number } | { start: number | Point; end?: number | Point },
+  options?: CodeFrameOptions,
+): string;
+export function getLocation(source: string, offset: number): Point;
+
+// Building
+
+export type AttribValue = string | number | boolean | null | undefined;
+export type ClassValue = string | number | boolean | null | undefined | ClassValue[] | Record<string, unknown>;
+export type StyleValue = string | null | undefined | Record<string, string | number | false | null | undefined>;
+
+export interface BuilderAttribs {
+  class?: ClassValue;
+  style?: StyleValue;
+  [name: string]: AttribValue | ClassValue | StyleValue;
+}
+
+export type Child = Node | number | bigint | boolean | null | undefined | Child[];
+
+/**
+ * Builds an element node. Arrays are flattened; `null`, `undefined`,
+ * booleans and empty strings are dropped. Throws for void elements with children.
+ */
+export function h(name: string, attribs?: BuilderAttribs | null, ...children: Child[]): ElementNode;
+export function h(name: string, ...children: Child[]): ElementNode;
+
+export interface CreateDocumentOptions {
+  lang?: string;
+  charset?: string;
+  viewport?: string;
+}
+
+export function createHtmlDocument(title?: string, options?: CreateDocumentOptions): ElementNode;
+
+// Querying
+
+export function hasNode(node: Root | Node | null | undefined, predicate: NodePredicate): boolean;
+export function traverse(node: Root | Node | null | undefined, callback: (node: Node) => void): void;
+export interface WalkContext {
+  /** Null for `root` and for the nodes of a `root` array. */
+  parent: ElementNode | DocumentNode | null;
+  /** Null for `root` unless it is an array. */
+  index: number | null;
+  depth: number;
+  /** Ancestors, outermost first. */
+  readonly path: Array<ElementNode | DocumentNode>;
+  skip(): void;
+  stop(): void;
+  replace(content: Child): void;
+  remove(): void;
+}
+
+export type WalkCallback = (node: Node, ctx: WalkContext) => void;
+
+export function walk(
+  root: Root | Node | null | undefined,
+  visitor: WalkCallback | { enter?: WalkCallback; leave?: WalkCallback },
+): void;
+export function querySelector(root: Root, selector: string): ElementNode | null;
+export function querySelectorAll(root: Root, selector: string): ElementNode[];
+export function removeNodes<T extends Root | Node | null | undefined>(node: T, predicate: NodePredicate): T;
+
+export type Target = string | NodePredicate;
+export type InsertContent = Child;
+
+export function append(root: Root, target: Target, content: InsertContent): Node[];
+export function prepend(root: Root, target: Target, content: InsertContent): Node[];
+export function insertBefore(root: Root, target: Target, content: InsertContent): Node[];
+export function insertAfter(root: Root, target: Target, content: InsertContent): Node[];
+export function replaceWith(root: Root, target: Target, content: InsertContent): Node[];
+export function wrap(root: Root, target: Target, wrapper: ElementNode): ElementNode[];
+export function unwrap(root: Root, target: Target): Node[];
+export function move(
+  root: Root,
+  target: Target,
+  destination: Target,
+  position?: 'append' | 'prepend' | 'before' | 'after',
+): Node[];
+
+// Head
+
+export function setTitle(root: Root, content: string): void;
+export function setCharset(root: Root, charset?: string): void;
+export function setViewport(root: Root, content?: string): void;
+export function setMeta(root: Root, attribs: Record<string, string>): ElementNode;
+export function removeMeta(root: Root, attribs: Record<string, string>): ElementNode[];
+export function setCanonical(root: Root, href: string): ElementNode;
+
+type MetaGroupValue = string | number | null | { url?: string; [key: string]: string | number | undefined };
+
+export function setOpenGraph(root: Root, data: Record<string, MetaGroupValue | MetaGroupValue[]>): void;
+export function setTwitterCard(root: Root, data: Record<string, MetaGroupValue | MetaGroupValue[]>): void;
+export function setFavicons(root: Root, icons: Array<string | { href: string; rel?: string; [name: string]: string | undefined }>): ElementNode[];
+export function setLang(root: Root, lang: string | null): void;
+
+export interface HeadDiagnostic {
+  node: ElementNode;
+  blockedBy: ElementNode;
+  reason: 'render-blocking-order' | 'deferred-order' | 'csp' | 'base-url' | 'import-map' | 'script-dom-order';
+  message: string;
+}
+
+export function optimizeHead(root: Root): HeadDiagnostic[];
+export function insertLink(root: Root, href: string, rel?: string, additionalAttribs?: Record<string, AttribValue>): void;
+export function insertInlineScript(root: Root, scriptText: string): void;
+export function insertInlineStyle(root: Root, styleText: string): void;
+
+// Resources
+
+export type ResourceKind = 'script' | 'style' | 'image' | 'font' | 'media' | 'document'
+  | 'object' | 'manifest' | 'navigation' | 'form' | 'other';
+
+export type ResourceLocation =
+  | { type: 'attribute'; attribute: string }
+  | { type: 'srcset'; attribute: string; start: number; end: number }
+  | { type: 'css'; attribute: string | null; child?: number; start: number; end: number }
+  | { type: 'meta-refresh'; attribute: 'content'; start: number; end: number };
+
+export interface Resource {
+  name: string;
+  attribute: string | null;
+  value: string;
+  descriptor?: string;
+  kind: ResourceKind;
+  location: ResourceLocation;
+}
+
+export function extractAllResources(root: Root): Resource[];
+export function rewriteResources(
+  root: Root,
+  rewrite: (resource: Resource, node: ElementNode) => string | undefined,
+): Array<Resource & { newValue: string }>;
+export function resolveResources(
+  root: Root,
+  documentUrl?: string,
+  options?: { rewrite?: boolean },
+): Array<Resource & { url: string | null }>;
+
+export interface ResourceHintOptions {
+  documentUrl?: string;
+  preconnect?: boolean;
+  fonts?: boolean;
+  modulepreload?: boolean;
+  criticalImages?: string | null;
+  max?: number;
+}
+
+export function addResourceHints(root: Root, options?: ResourceHintOptions): Attribs[];
+
+export type AssetContent = string | Uint8Array | ArrayBuffer;
+
+export interface IntegrityEntry extends Resource {
+  url: string | null;
+  status: 'added' | 'verified' | 'mismatch' | 'skipped';
+  integrity?: string;
+  actual?: string;
+}
+
+export function addIntegrity(
+  root: Root,
+  loader: (resource: Resource & { url: string | null }, node: ElementNode) => AssetContent | null | Promise<AssetContent | null>,
+  options?: { algorithm?: 'sha256' | 'sha384' | 'sha512'; documentUrl?: string },
+): Promise<IntegrityEntry[]>;
+
+export interface InlineAssetsOptions {
+  documentUrl?: string;
+  stylesheets?: boolean;
+  scripts?: boolean;
+  images?: boolean;
+  maxDataUriSize?: number;
+}
+
+export type LoadedAsset = AssetContent | { content: AssetContent; type?: string };
+
+export function inlineAssets(
+  root: Root,
+  loader: (url: string, context: { kind: ResourceKind }) => LoadedAsset | null | Promise<LoadedAsset | null>,
+  options?: InlineAssetsOptions,
+): Promise<Array<{ url: string; kind: ResourceKind; status: 'inlined' | 'missing' | 'too-large' | 'relative-imports'; size?: number }>>;
+
+export function inlineCss(root: Root, options?: { keepInlinedRules?: boolean }): { styled: number; remaining: string[] };
+
+// Immutable updates and templates
+
+export function produce<T extends Root>(root: T, recipe: (draft: T) => Promise<unknown>): Promise<T>;
+export function produce<T extends Root>(root: T, recipe: (draft: T) => unknown): T;
+export function isDraft(value: unknown): boolean;
+export function cloneNode<T extends Node | Node[]>(node: T, options?: { deep?: boolean }): T;
+
+export function render(template: DocumentNode, data?: object, options?: { strict?: boolean }): DocumentNode;
+export function render(template: Node[], data?: object, options?: { strict?: boolean }): Node[];
+export function render(template: ElementNode, data?: object, options?: { strict?: boolean }): Node | Node[];
+
+// Streaming
+
+export type Content = Node | Node[];
+
+export interface RewriterElement {
+  readonly name: string;
+  readonly namespace: 'html' | 'svg' | 'mathml';
+  attribs: Attribs;
+  before(content: Content): RewriterElement;
+  after(content: Content): RewriterElement;
+  prepend(content: Content): RewriterElement;
+  append(content: Content): RewriterElement;
+  setInnerContent(content: Content): RewriterElement;
+  replace(content: Content): RewriterElement;
+  remove(): RewriterElement;
+  onEndTag(handler: () => void): RewriterElement;
+}
+
+export type RewriterInput = string | Iterable<string | Uint8Array> | AsyncIterable<string | Uint8Array>;
+
+export interface HtmlRewriter {
+  onElement(selector: string, handler: (element: RewriterElement) => void): HtmlRewriter;
+  setTitle(content: string): HtmlRewriter;
+  insertLink(href: string, rel?: string, attribs?: Record<string, AttribValue>): HtmlRewriter;
+  removeNodes(target: string | NodePredicate): HtmlRewriter;
+  transform(input: ReadableStream<string | Uint8Array>): ReadableStream<string>;
+  transform(input: RewriterInput): Readable;
+}
+
+export function createHtmlRewriter(): HtmlRewriter;
+
+// Security
+
+export interface SanitizePolicy {
+  tags?: string[];
+  attributes?: Record<string, string[]>;
+  schemes?: string[];
+  disallowed?: 'unwrap' | 'drop';
+  dropTags?: string[];
+  comments?: boolean;
+}
+
+export type SanitizeReport =
+  | { type: 'element'; name: string; action: 'unwrap' | 'drop' }
+  | { type: 'attribute'; name: string; attribute: string; value: string; reason: 'event-handler' | 'srcdoc' | 'not-allowed' | 'url' | 'style' }
+  | { type: ContentNode['type']; content: string };
+
+export const SANITIZE_PRESETS: Readonly<Record<'comment' | 'richText' | 'email', SanitizePolicy>>;
+export function sanitize(root: Root, policy?: keyof typeof SANITIZE_PRESETS | SanitizePolicy): SanitizeReport[];
+
+export interface CspOptions {
+  mode?: 'hash' | 'nonce';
+  algorithm?: 'sha256' | 'sha384' | 'sha512';
+  nonce?: string;
+  policy?: string;
+  output?: 'meta' | 'header';
+}
+
+export function applyCsp(root: Root, options?: CspOptions): {
+  policy: string;
+  nonce: string | null;
+  sources: Record<string, string[]>;
+  ignoredUnsafeInline: string[];
+  blockedAttributes: Array<{ directive: 'script-src' | 'style-src'; name: string; attribute: string }>;
+};
@@ -1,74 +1,265 @@
 import { parseDocument } from 'htmlparser2';
 
-const RESOURCE_ATTRS = ['src', 'href', 'data', 'action'];
-const SELF_CLOSING_TAGS = ['meta', 'base', 'link', 'img', 'br', 'hr', 'input', 'area', 'source'];
+import {
+  dependsOnModuleUrl,
+  escapeInlineCode,
+  inlineStylesheet,
+  normalizeAsset,
+  toDataUri,
+} from './assets.mjs';
+import { RESOURCE_ATTRS, SRCSET_ATTRS } from './attributes.mjs';
+import { h, isNode, normalizeChildren } from './builder.mjs';
+import {
+  addCspSources,
+  allowsUnsafeInline,
+  createNonce,
+  getCspNonce,
+  getCspOrigin,
+  getCspSources,
+  hashCspSource,
+  isExecutableScript,
+  parseCsp,
+  serializeCsp,
+} from './csp.mjs';
+import {
+  parseCssRules,
+  parseDeclarations,
+  replaceCssUrls,
+  splitSelectorList,
+} from './css.mjs';
+import { orderHeadChildren } from './head.mjs';
+import { cloneNode, isDraft, produce } from './immutable.mjs';
+import { computeIntegrity, matchesIntegrity } from './integrity.mjs';
+import {
+  adjustAttributeName,
+  adjustElementName,
+  getChildNamespace,
+  getElementNamespace,
+} from './namespaces.mjs';
+import {
+  codeFrame,
+  createLocator,
+  getLocation,
+  scanStartTag,
+} from './position.mjs';
+import { sanitize, SANITIZE_PRESETS } from './sanitize.mjs';
+import {
+  compareSpecificity,
+  createSelectorMatcher,
+  getSpecificity,
+  parseSelector,
+  querySelector,
+  querySelectorAll,
+} from './selector.mjs';
+import {
+  escapeAttribute,
+  escapeText,
+  jsonToHtml,
+  RAW_TEXT_TAGS,
+  VOID_TAGS,
+} from './serializer.mjs';
+import { replaceSrcsetUrls } from './srcset.mjs';
+import { createHtmlRewriter } from './stream.mjs';
+import { render } from './template.mjs';
+import { resolveUrl } from './url.mjs';
+import { walk } from './walk.mjs';
+
+const LINK_REL_KINDS = {
+  stylesheet: 'style',
+  modulepreload: 'script',
+  icon: 'image',
+  'apple-touch-icon': 'image',
+  'apple-touch-icon-precomposed': 'image',
+  'mask-icon': 'image',
+  manifest: 'manifest',
+  preconnect: 'other',
+  'dns-prefetch': 'other',
+};
+
+const PRELOAD_AS_KINDS = {
+  script: 'script',
+  worker: 'script',
+  style: 'style',
+  image: 'image',
+  font: 'font',
+  audio: 'media',
+  video: 'media',
+  track: 'media',
+  document: 'document',
+};
+
+const ELEMENT_KINDS = {
+  script: 'script',
+  img: 'image',
+  image: 'image',
+  use: 'image',
+  video: 'media',
+  audio: 'media',
+  track: 'media',
+  source: 'media',
+  iframe: 'document',
+  frame: 'document',
+  object: 'object',
+  embed: 'object',
+  applet: 'object',
+  a: 'navigation',
+  area: 'navigation',
+};
 
+const META_REFRESH_RE = /^\s*[\d.]*(?:\s*[;,]\s*|\s+)(?:url\s*=\s*)?(?:"([^"]*)"?|'([^']*)'?|(\S(?:.*\S)?))\s*$/di;
 const getNodeProps = (node) => {
   if (typeof node === 'string') {
     return {
+      type: 'text',
       name: null,
       attribs: null,
       content: node,
     };
   }
+
+  if (node.type) {
+    return {
+      type: node.type,
+      name: null,
+      attribs: null,
+      content: node.content ?? null,
+    };
+  }
+
   const hasOnlyTextChild = node.children?.length === 1 && typeof node.children[0] === 'string';
 
   return {
+    type: 'element',
     name: node.name,
     attribs: node.attribs,
     content: hasOnlyTextChild ? node.children[0] : null,
   };
 };
 
-const nodeToJson = (node) => {
-  if (node.type === 'text') {
-    return node.data.trim() ? node.data : null;
-  }
+const CDATA_COMMENT_RE = /^\[CDATA\[([\s\S]*)\]\]$/;
 
-  if (!['tag', 'script', 'style'].includes(node.type)) {
+const preservedNodeToJson = (node, source) => {
+  switch (node.type) {
+  case 'text': {
+    const raw = source.slice(node.startIndex, node.endIndex + 1);
+    if (RAW_TEXT_TAGS.includes(node.parent?.name) || escapeText(node.data) === raw) {
+      return node.data;
+    }
+    // keep the original entity spelling so that unmodified text serializes byte-identical
+    return { type: 'raw', content: raw };
+  }
+  case 'comment': {
+    const cdata = node.data.match(CDATA_COMMENT_RE);
+    if (cdata) {
+      return { type: 'cdata', content: cdata[1] };
+    }
+    return { type: 'comment', content: node.data };
+  }
+  case 'cdata':
+    return { type: 'cdata', content: node.children.map((child) => child.data).join('') };
+  case 'directive':
+    return {
+      type: node.name === '!doctype' ? 'doctype' : 'processing-instruction',
+      content: node.data,
+    };
+  default:
     return null;
   }
+};
+
+const isKeptNode = (node) => node != null && node !== '';
+
+const getRange = (node, locate) => ({
+  start: locate(node.startIndex),
+  end: locate(node.endIndex + 1),
+});
 
+/**
+ * Source range of an element plus its attributes. An element closed by an
+ * implied end tag ends after its last child instead of inside the tag that
+ * closed it, which is where htmlparser2 puts its end index.
+ */
+const getElementPosition = (node, json, options) => {
+  const { source, locate, namespace } = options;
+  const startTag = scanStartTag(source, node.startIndex);
+  const closingTag = source.slice(node.startIndex, node.endIndex + 1).match(/<\/([^\s>]+)\s*>$/);
+  let end = node.endIndex + 1;
+  if (closingTag?.[1].toLowerCase() !== node.name.toLowerCase() || end <= startTag.end) {
+    end = Math.max(startTag.end, ...(node.children ?? []).map((child) => child.endIndex + 1));
+  }
   return {
-    name: node.name,
-    attribs: node.attribs || {},
-    children: (node.children || [])
-      .map(nodeToJson)
-      .filter(Boolean),
+    start: locate(node.startIndex),
+    end: locate(end),
+    attributes: Object.fromEntries(
+      Object.entries(startTag.attributes)
+        .map(([key, range]) => [adjustAttributeName(key, namespace), { start: locate(range.start), end: locate(range.end) }])
+        .filter(([key]) => Object.hasOwn(json.attribs, key)),
+    ),
   };
 };
 
-const jsonToHtml = (node) => {
-  if (typeof node === 'string') {
-    return node;
+const nodeToJson = (node, options = {}) => {
+  const { preserve = false, source = '', locate } = options;
+
+  if (preserve && node.type !== 'tag' && node.type !== 'script' && node.type !== 'style') {
+    const json = preservedNodeToJson(node, source);
+    if (locate && json && typeof json === 'object') {
+      json.position = getRange(node, locate);
+    }
+    return json;
   }
 
-  const { name, attribs = {}, children = [] } = node;
+  if (node.type === 'text') {
+    return node.data.trim() ? node.data : null;
+  }
 
-  const attrStr = Object.entries(attribs)
-    .map(([key, value]) => `${key}="${value}"`)
-    .join(' ');
+  if (!['tag', 'script', 'style'].includes(node.type)) {
+    return null;
+  }
 
-  const openTag = attrStr ? `<${name} ${attrStr}>` : `<${name}>`;
+  const namespace = getElementNamespace(node.name, options.namespace);
+  const name = adjustElementName(node.name, namespace);
+  const childOptions = { ...options, namespace: getChildNamespace(name, namespace) };
+  const children = (node.children || [])
+    .map((child) => [child, nodeToJson(child, childOptions)])
+    .filter(([, json]) => isKeptNode(json));
 
-  if (SELF_CLOSING_TAGS.includes(name) && !children.length) {
-    return attrStr ? `<${name} ${attrStr} />` : `<${name} />`;
+  const json = {
+    name,
+    attribs: Object.fromEntries(
+      Object.entries(node.attribs || {})
+        .map(([key, value]) => [adjustAttributeName(key, namespace), value]),
+    ),
+    children: children.map(([, child]) => child),
+  };
+  // elements the parser implied, like the <p> opened by a stray </p>, have no start tag in the source
+  const startTagName = source.slice(node.startIndex + 1, node.startIndex + 1 + node.name.length);
+  if (preserve && source[node.startIndex] === '<' && startTagName.toLowerCase() === node.name) {
+    json.startTag = source.slice(node.startIndex, scanStartTag(source, node.startIndex).end);
   }
+  if (locate) {
+    json.position = {
+      ...getElementPosition(node, json, { source, locate, namespace }),
+      // text children are strings, so their ranges are kept on the parent by index
+      children: children.map(([child, childJson]) => childJson.position ?? getRange(child, locate)),
+    };
+  }
+  return json;
+};
 
-  const childrenHtml = children.map(jsonToHtml).join('');
-
-  return `${openTag}${childrenHtml}</${name}>`;
+const getHtmlNode = (root) => {
+  if (root.type === 'document') {
+    return root.children.find((n) => n.name === 'html') ?? root;
+  }
+  return root;
 };
 
-const ensureHeadNode = (root) => {
+const ensureHeadNode = (documentRoot) => {
+  const root = getHtmlNode(documentRoot);
   let headNode = root.children?.find((n) => n.name === 'head');
 
   if (!headNode) {
-    headNode = {
-      name: 'head',
-      attribs: {},
-      children: [],
-    };
+    headNode = h('head');
     const bodyIndex = root.children?.findIndex(n => n.name === 'body') ?? -1;
     const insertIndex = bodyIndex > -1 ? bodyIndex : 0;
     root.children?.splice(insertIndex, 0, headNode);
@@ -77,146 +268,1088 @@ const ensureHeadNode = (root) => {
   return headNode;
 };
 
-const htmlToJson = (html) => {
-  const dom = parseDocument(html);
+const isCharsetMeta = (attribs) => Boolean(
+  attribs?.charset
+  || (attribs?.['http-equiv']?.toLowerCase() === 'content-type'
+    && attribs?.content?.toLowerCase().includes('charset')),
+);
+
+const getRels = (node) => (node.attribs?.rel ?? '').toLowerCase().split(/\s+/);
+
+const RESOURCE_HINT_RELS = ['preconnect', 'dns-prefetch', 'preload', 'modulepreload', 'prefetch'];
+
+// charset must come first, then viewport and title; resource hints go ahead of
+// the stylesheets and scripts they speed up, and everything else follows
+const getHeadRank = (node) => {
+  if (node.name === 'meta' && isCharsetMeta(node.attribs)) {
+    return 0;
+  }
+  if (node.name === 'meta' && node.attribs?.name?.toLowerCase() === 'viewport') {
+    return 1;
+  }
+  if (node.name === 'title') {
+    return 2;
+  }
+  if (node.name === 'link' && getRels(node).some((rel) => RESOURCE_HINT_RELS.includes(rel))) {
+    return 3;
+  }
+  return 4;
+};
+
+/**
+ * Inserts a node into the head after every node that ranks before or with it.
+ */
+const insertHeadNode = (root, node) => {
+  const headNode = ensureHeadNode(root);
+  const rank = getHeadRank(node);
+  const index = headNode.children.findIndex((child) => typeof child !== 'string' && getHeadRank(child) > rank);
+  headNode.children.splice(index === -1 ? headNode.children.length : index, 0, node);
+  return node;
+};
+
+const htmlToJson = (html, options = {}) => {
+  const { preserve = false, positions = false } = options;
+  const dom = parseDocument(html, {
+    withStartIndices: preserve || positions,
+    withEndIndices: preserve || positions,
+  });
+  const locate = positions ? createLocator(html) : undefined;
+  // the document keeps every top-level node, so it exists even without an <html> element
+  if (preserve) {
+    const children = dom.children
+      .map((child) => nodeToJson(child, { preserve, source: html, locate }))
+      .filter(isKeptNode);
+    const documentNode = { type: 'document', children };
+    if (locate) {
+      documentNode.position = {
+        start: locate(0),
+        end: locate(html.length),
+        children: children.map((child) => child.position),
+      };
+    }
+    return documentNode;
+  }
   const htmlNode = dom.children.find((n) => n.name === 'html');
   if (!htmlNode) {
     return null;
   }
-  const jsonAst = nodeToJson(htmlNode);
+  const jsonAst = nodeToJson(htmlNode, { source: html, locate });
   return jsonAst;
 };
 
+const fragmentToJson = (html, options = {}) => {
+  const { preserve = false, positions = false } = options;
+  const context = (options.context ?? 'body').toLowerCase();
+
+  if (VOID_TAGS.includes(context)) {
+    throw new Error(`Cannot parse a fragment inside void element <${context}>`);
+  }
+
+  // the context element is left open so that its end tag cannot close anything early;
+  // nodes the parser moves out of it are still part of the fragment
+  const prefix = `<${context}>`;
+  const source = `${prefix}${html}`;
+  const dom = parseDocument(source, {
+    withStartIndices: preserve || positions,
+    withEndIndices: preserve || positions,
+  });
+  // offsets are reported against `html`, not the prefixed source
+  const locate = positions ? createLocator(source, prefix.length) : undefined;
+  const [contextNode, ...rest] = dom.children;
+
+  const namespace = getElementNamespace(context);
+  const childNamespace = getChildNamespace(adjustElementName(context, namespace), namespace);
+
+  return [...contextNode.children, ...rest]
+    .map((child) => nodeToJson(child, {
+      preserve,
+      source,
+      locate,
+      namespace: childNamespace,
+    }))
+    .filter(isKeptNode);
+};
+
 const insertInlineScript = (root, scriptText) => {
   const headNode = ensureHeadNode(root);
 
-  const scriptNode = {
-    name: 'script',
-    attribs: {},
-    children: [scriptText],
-  };
-
-  headNode.children.push(scriptNode);
+  headNode.children.push(h('script', null, scriptText));
 };
 
 const insertInlineStyle = (root, styleText) => {
   const headNode = ensureHeadNode(root);
 
-  const styleNode = {
-    name: 'style',
-    attribs: {},
-    children: [styleText],
-  };
-
-  headNode.children.push(styleNode);
+  headNode.children.push(h('style', null, styleText));
 };
 
 const traverse = (node, callback) => {
-  if (!node) {
-    return;
-  }
+  walk(node, (child) => {
+    callback(child);
+  });
+};
 
-  if (Array.isArray(node)) {
-    node.forEach(n => traverse(n, callback));
-    return;
+const getLinkKind = (attribs) => {
+  const rels = (attribs.rel ?? '').toLowerCase().split(/\s+/);
+  if (rels.includes('preload') || rels.includes('prefetch')) {
+    return PRELOAD_AS_KINDS[attribs.as?.toLowerCase()] ?? 'other';
   }
+  const rel = rels.find((r) => LINK_REL_KINDS[r]);
+  return rel ? LINK_REL_KINDS[rel] : 'navigation';
+};
 
-  callback(node);
+const getResourceKind = (node, attribute) => {
+  if (attribute === 'action' || attribute === 'formaction') {
+    return 'form';
+  }
+  if (attribute === 'poster') {
+    return 'image';
+  }
+  if (attribute === 'codebase') {
+    return 'object';
+  }
+  const name = node.name.toLowerCase();
+  if (name === 'link') {
+    return getLinkKind(node.attribs);
+  }
+  if (name === 'input') {
+    return node.attribs.type?.toLowerCase() === 'image' ? 'image' : 'other';
+  }
+  return ELEMENT_KINDS[name] ?? 'other';
+};
 
-  node.children?.forEach(child => traverse(child, callback));
+const getCssResourceKind = (entry) => {
+  if (entry.type === 'import') {
+    return 'style';
+  }
+  return entry.inFontFace ? 'font' : 'image';
 };
 
-const extractAllResources = (root) => {
-  const resources = [];
+const replaceMetaRefreshUrl = (content, replacer) => {
+  const match = String(content).match(META_REFRESH_RE);
+  const group = match && [1, 2, 3].find((index) => match[index]);
+  if (!group) {
+    return content;
+  }
+  const [start, end] = match.indices[group];
+  const url = replacer({ value: match[group], start, end });
+  if (url === undefined || url === match[group]) {
+    return content;
+  }
+  return `${content.slice(0, start)}${url}${content.slice(end)}`;
+};
 
+const visitResources = (root, visit) => {
   traverse(root, (node) => {
     if (!node.attribs) {
       return;
     }
-    RESOURCE_ATTRS.forEach((attr) => {
-      const value = node.attribs[attr];
-      if (value) {
-        resources.push({
-          name: node.name,
-          attribute: attr,
-          value: node.attribs[attr],
-        });
+    const { name, attribs } = node;
+
+    RESOURCE_ATTRS.forEach((attribute) => {
+      const value = attribs[attribute];
+      if (!value) {
+        return;
+      }
+      const newValue = visit({
+        name,
+        attribute,
+        value,
+        kind: getResourceKind(node, attribute),
+        location: { type: 'attribute', attribute },
+      }, node);
+      if (newValue !== undefined) {
+        attribs[attribute] = newValue;
       }
     });
+
+    SRCSET_ATTRS.forEach((attribute) => {
+      if (!attribs[attribute]) {
+        return;
+      }
+      attribs[attribute] = replaceSrcsetUrls(attribs[attribute], ({ url, descriptor, start, end }) => visit({
+        name,
+        attribute,
+        value: url,
+        descriptor,
+        kind: 'image',
+        location: {
+          type: 'srcset',
+          attribute,
+          start,
+          end,
+        },
+      }, node));
+    });
+
+    if (attribs.style) {
+      attribs.style = replaceCssUrls(attribs.style, (entry) => visit({
+        name,
+        attribute: 'style',
+        value: entry.value,
+        kind: getCssResourceKind(entry),
+        location: {
+          type: 'css',
+          attribute: 'style',
+          start: entry.start,
+          end: entry.end,
+        },
+      }, node));
+    }
+
+    if (name === 'meta' && attribs['http-equiv']?.toLowerCase() === 'refresh' && attribs.content) {
+      attribs.content = replaceMetaRefreshUrl(attribs.content, ({ value, start, end }) => visit({
+        name,
+        attribute: 'content',
+        value,
+        kind: 'navigation',
+        location: {
+          type: 'meta-refresh',
+          attribute: 'content',
+          start,
+          end,
+        },
+      }, node));
+    }
+
+    if (name === 'style') {
+      node.children?.forEach((child, index) => {
+        if (typeof child !== 'string') {
+          return;
+        }
+        node.children[index] = replaceCssUrls(child, (entry) => visit({
+          name,
+          attribute: null,
+          value: entry.value,
+          kind: getCssResourceKind(entry),
+          location: {
+            type: 'css',
+            attribute: null,
+            child: index,
+            start: entry.start,
+            end: entry.end,
+          },
+        }, node));
+      });
+    }
+  });
+};
+
+const extractAllResources = (root) => {
+  const resources = [];
+
+  visitResources(root, (resource) => {
+    resources.push(resource);
+    return undefined;
   });
 
   return resources;
 };
 
+const rewriteResources = (root, rewrite) => {
+  const changes = [];
+
+  visitResources(root, (resource, node) => {
+    const newValue = rewrite(resource, node);
+    if (newValue === undefined || newValue === resource.value) {
+      return undefined;
+    }
+    changes.push({ ...resource, newValue });
+    return newValue;
+  });
+
+  return changes;
+};
+
 const insertLink = (root, href, rel = 'stylesheet', additionalAttribs = {}) => {
   const headNode = ensureHeadNode(root);
 
-  const linkNode = {
-    name: 'link',
-    attribs: {
-      rel,
-      href,
-      ...additionalAttribs,
-    },
-    children: [],
-  };
+  const existing = headNode.children.find((node) => node.name === 'link'
+    && node.attribs?.rel === rel
+    && node.attribs?.href === href);
+  if (existing) {
+    Object.assign(existing.attribs, additionalAttribs);
+    return;
+  }
 
-  headNode.children.push(linkNode);
+  headNode.children.push(h('link', { rel, href, ...additionalAttribs }));
 };
 
 const removeNodes = (node, predicate) => {
-  if (!node) {
-    return;
+  walk(node, (child, ctx) => {
+    // a root node is kept, only what is inside it (or in the array) is removed
+    if (ctx.index !== null && predicate(getNodeProps(child))) {
+      ctx.remove();
+    }
+  });
+
+  return node;
+};
+
+const INSERT_POSITIONS = ['append', 'prepend', 'before', 'after'];
+
+const toTargetMatcher = (root, target) => {
+  if (typeof target === 'string') {
+    return createSelectorMatcher(root, target);
+  }
+  if (typeof target === 'function') {
+    return (node) => target(getNodeProps(node));
   }
+  throw new TypeError('Expected target to be a selector or a predicate');
+};
 
-  if (Array.isArray(node)) {
-    node.forEach((n) => removeNodes(n, predicate));
-    return;
+/**
+ * Lists every node under `root` in document order together with the entry of
+ * its parent, the array it sits in and its index there. The root itself has
+ * no siblings unless `root` is an array of nodes.
+ */
+const collectEntries = (root) => {
+  const entries = [];
+  const entriesByNode = new Map();
+  walk(root, (node, { parent, index }) => {
+    let siblings = null;
+    if (parent) {
+      siblings = parent.children;
+    } else if (index !== null) {
+      siblings = root;
+    }
+    const entry = {
+      node,
+      parent: parent ? entriesByNode.get(parent) : null,
+      siblings,
+      index,
+    };
+    if (typeof node === 'object') {
+      entriesByNode.set(node, entry);
+    }
+    entries.push(entry);
+  });
+  return entries;
+};
+
+const findTargets = (root, target) => {
+  const matches = toTargetMatcher(root, target);
+  return collectEntries(root).filter((entry) => matches(entry.node));
+};
+
+const isInside = (entry, ancestors) => {
+  for (let parent = entry.parent; parent; parent = parent.parent) {
+    if (ancestors.has(parent)) {
+      return true;
+    }
   }
+  return false;
+};
 
-  if (node.children) {
-    node.children = node.children.filter(
-      (child) => {
-        const shouldRemove = predicate(getNodeProps(child));
-        return !shouldRemove;
-      },
-    );
+// matches inside another match go along with it, so only the outermost count
+const getOutermost = (entries) => {
+  const set = new Set(entries);
+  return entries.filter((entry) => !isInside(entry, set));
+};
 
-    node.children.forEach((child) => removeNodes(child, predicate));
+const assertHasParent = (entry, action) => {
+  if (!entry.siblings) {
+    throw new Error(`Cannot ${action} the root node`);
   }
 };
 
-const updateTitle = (node, newTitle) => {
-  if (!node) {
-    return;
+const assertContainer = (node) => {
+  if (!Array.isArray(node.children)) {
+    throw new Error('Cannot insert into a node without children');
+  }
+  if (node.name && VOID_TAGS.includes(node.name.toLowerCase())) {
+    throw new Error(`Void element <${node.name}> cannot have children`);
+  }
+};
+
+/**
+ * Content goes to the first target as given and to every other target as a
+ * copy, so one node never ends up in two places.
+ */
+const getContent = (content, index) => {
+  const nodes = normalizeChildren([content]);
+  return index === 0 ? nodes : nodes.map((node) => cloneNode(node));
+};
+
+/**
+ * Runs `apply` on each target, last one first, so indices collected up front
+ * stay valid while earlier siblings are spliced.
+ */
+const applyToTargets = (targets, apply) => {
+  for (let i = targets.length - 1; i >= 0; i--) {
+    apply(targets[i], i);
+  }
+  return targets.map(({ node }) => node);
+};
+
+const insertNodes = ({ node, siblings }, index, position, nodes) => {
+  switch (position) {
+  case 'append':
+    node.children.push(...nodes);
+    break;
+  case 'prepend':
+    node.children.unshift(...nodes);
+    break;
+  case 'before':
+    siblings.splice(index, 0, ...nodes);
+    break;
+  default:
+    siblings.splice(index + 1, 0, ...nodes);
+  }
+};
+
+const assertInsertable = (entry, position) => {
+  if (position === 'append' || position === 'prepend') {
+    assertContainer(entry.node);
+  } else {
+    assertHasParent(entry, `insert ${position}`);
+  }
+};
+
+const insertContent = (root, target, content, position) => {
+  const targets = findTargets(root, target);
+  targets.forEach((entry) => assertInsertable(entry, position));
+  return applyToTargets(targets, (entry, i) => insertNodes(entry, entry.index, position, getContent(content, i)));
+};
+
+/**
+ * Inserts `content` (a node, a string or an array of them) at the end of
+ * every element matching `target`, a selector or a `removeNodes` style
+ * predicate. Returns the elements that received content.
+ */
+const append = (root, target, content) => insertContent(root, target, content, 'append');
+
+const prepend = (root, target, content) => insertContent(root, target, content, 'prepend');
+
+/**
+ * Inserts `content` in front of every node matching `target` and returns
+ * those nodes.
+ */
+const insertBefore = (root, target, content) => insertContent(root, target, content, 'before');
+
+const insertAfter = (root, target, content) => insertContent(root, target, content, 'after');
+
+/**
+ * Replaces every node matching `target` with `content`, which may be empty
+ * to just remove it. Returns the nodes that were replaced.
+ */
+const replaceWith = (root, target, content) => {
+  const targets = getOutermost(findTargets(root, target));
+  targets.forEach((entry) => assertHasParent(entry, 'replace'));
+  return applyToTargets(targets, ({ siblings, index }, i) => {
+    siblings.splice(index, 1, ...getContent(content, i));
+  });
+};
+
+/**
+ * Moves every node matching `target` into a copy of `wrapper`, after the
+ * wrapper's own children, and puts the wrapper in its place. Returns the
+ * wrappers.
+ */
+const wrap = (root, target, wrapper) => {
+  if (!isNode(wrapper) || !wrapper.name) {
+    throw new TypeError('Expected wrapper to be an element node');
+  }
+  assertContainer(wrapper);
+  const targets = findTargets(root, target);
+  targets.forEach((entry) => assertHasParent(entry, 'wrap'));
+  const wrappers = targets.map((entry, i) => (i === 0 ? wrapper : cloneNode(wrapper)));
+  applyToTargets(targets, ({ node, siblings, index }, i) => {
+    siblings[index] = wrappers[i];
+    wrappers[i].children.push(node);
+  });
+  return wrappers;
+};
+
+/**
+ * Replaces every element matching `target` with its children and returns the
+ * removed elements.
+ */
+const unwrap = (root, target) => {
+  const targets = findTargets(root, target);
+  targets.forEach((entry) => assertHasParent(entry, 'unwrap'));
+  return applyToTargets(targets, ({ node, siblings, index }) => {
+    siblings.splice(index, 1, ...(node.children ?? []));
+  });
+};
+
+/**
+ * Moves every node matching `target` next to or into the first node matching
+ * `destination`. `position` is `'append'` (default), `'prepend'`, `'before'`
+ * or `'after'`; the moved nodes keep their document order. Returns the moved
+ * nodes, or an empty array when nothing matches `destination`.
+ */
+const move = (root, target, destination, position = 'append') => {
+  if (!INSERT_POSITIONS.includes(position)) {
+    throw new Error(`Unknown position "${position}", expected one of ${INSERT_POSITIONS.join(', ')}`);
+  }
+  const matchesDestination = toTargetMatcher(root, destination);
+  const entries = collectEntries(root);
+  const destinationEntry = entries.find((entry) => matchesDestination(entry.node));
+  if (!destinationEntry) {
+    return [];
+  }
+  assertInsertable(destinationEntry, position);
+  const matchesTarget = toTargetMatcher(root, target);
+  const targets = getOutermost(entries.filter((entry) => entry !== destinationEntry && matchesTarget(entry.node)));
+  targets.forEach((entry) => {
+    assertHasParent(entry, 'move');
+    if (isInside(destinationEntry, new Set([entry]))) {
+      throw new Error('Cannot move a node into itself');
+    }
+  });
+  const nodes = applyToTargets(targets, ({ siblings, index }) => {
+    siblings.splice(index, 1);
+  });
+  // detaching earlier siblings shifts the destination
+  const shift = targets
+    .filter(({ siblings, index }) => siblings === destinationEntry.siblings && index < destinationEntry.index)
+    .length;
+  insertNodes(destinationEntry, destinationEntry.index - shift, position, nodes);
+  return nodes;
+};
+
+const getBaseUrl = (root, documentUrl) => {
+  // only the first <base> with an href counts, and it resolves against the document URL
+  const baseNode = querySelector(root, 'base[href]');
+  if (!baseNode) {
+    return documentUrl ?? null;
+  }
+  return resolveUrl(baseNode.attribs.href, documentUrl) ?? documentUrl ?? null;
+};
+
+const resolveResources = (root, documentUrl, options = {}) => {
+  const { rewrite = false } = options;
+  const baseUrl = getBaseUrl(root, documentUrl);
+
+  const resources = extractAllResources(root).map((resource) => ({
+    ...resource,
+    url: resolveUrl(resource.value, resource.name === 'base' ? documentUrl : baseUrl),
+  }));
+
+  if (rewrite) {
+    rewriteResources(root, (resource) => {
+      if (resource.name === 'base') {
+        return undefined;
+      }
+      return resolveUrl(resource.value, baseUrl) ?? undefined;
+    });
+    traverse(root, (node) => {
+      if (node.name === 'base') {
+        delete node.attribs?.href;
+      }
+    });
+    // <base target> still applies to links, so only bare <base> elements are dropped
+    removeNodes(root, (node) => node.name === 'base' && !Object.keys(node.attribs ?? {}).length);
+  }
+
+  return resources;
+};
+
+const INTEGRITY_LINK_RELS = ['stylesheet', 'preload', 'modulepreload'];
+
+const isIntegrityTarget = (resource, node) => {
+  if (resource.name === 'script') {
+    return resource.attribute === 'src';
+  }
+  if (resource.name === 'link' && resource.attribute === 'href') {
+    const rels = (node.attribs.rel ?? '').toLowerCase().split(/\s+/);
+    return rels.some((rel) => INTEGRITY_LINK_RELS.includes(rel));
+  }
+  return false;
+};
+
+const isCrossOrigin = (url, value, documentUrl) => {
+  if (!url) {
+    // without a document URL only absolute and protocol-relative URLs are known to be cross-origin
+    return /^\s*(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(value);
+  }
+  return !documentUrl || new URL(url).origin !== new URL(documentUrl).origin;
+};
+
+/**
+ * Adds Subresource Integrity metadata to external scripts and to stylesheet and
+ * preload links. `loader(resource, node)` resolves to the file content, or to
+ * null to skip it. Integrity values already present are checked instead of
+ * replaced. Resolves to a report entry per resource, with a `status` of
+ * `'added'`, `'verified'`, `'mismatch'` or `'skipped'`.
+ */
+const addIntegrity = async (root, loader, options = {}) => {
+  const { algorithm = 'sha384', documentUrl } = options;
+  const baseUrl = getBaseUrl(root, documentUrl);
+  const targets = [];
+
+  visitResources(root, (resource, node) => {
+    if (isIntegrityTarget(resource, node)) {
+      targets.push({ resource: { ...resource, url: resolveUrl(resource.value, baseUrl) }, node });
+    }
+    return undefined;
+  });
+
+  const contents = await Promise.all(targets.map(({ resource, node }) => loader(resource, node)));
+
+  return targets.map(({ resource, node }, index) => {
+    const content = contents[index];
+    if (content == null) {
+      return { ...resource, status: 'skipped' };
+    }
+
+    const { attribs } = node;
+    const integrity = computeIntegrity(content, algorithm);
+    const matches = matchesIntegrity(attribs.integrity, content);
+    if (matches === false) {
+      return {
+        ...resource,
+        status: 'mismatch',
+        integrity: attribs.integrity,
+        actual: integrity,
+      };
+    }
+
+    if (matches === null) {
+      attribs.integrity = integrity;
+    }
+    // integrity checks on cross-origin responses need CORS
+    if (attribs.crossorigin == null && isCrossOrigin(resource.url, resource.value, documentUrl)) {
+      attribs.crossorigin = 'anonymous';
+    }
+    return {
+      ...resource,
+      status: matches ? 'verified' : 'added',
+      integrity: attribs.integrity,
+    };
+  });
+};
+
+const FONT_TYPES = {
+  woff2: 'font/woff2',
+  woff: 'font/woff',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+};
+
+const getHttpOrigin = (url) => {
+  const href = url ? resolveUrl(url) : null;
+  if (!href) {
+    return null;
+  }
+  const { protocol, origin } = new URL(href);
+  return protocol === 'http:' || protocol === 'https:' ? origin : null;
+};
+
+const getFontFormat = (value) => value.match(/\.([a-z\d]+)(?:[?#].*)?$/i)?.[1].toLowerCase() ?? null;
+
+const isCorsResource = (resource, node) => resource.kind === 'font'
+  || node.attribs.crossorigin != null
+  || (resource.name === 'script' && node.attribs.type?.trim().toLowerCase() === 'module');
+
+/**
+ * Inserts resource hints for what the document loads: `preconnect` plus
+ * `dns-prefetch` per third-party origin, `preload` for fonts declared in
+ * `<style>` and for critical images, and `modulepreload` for module scripts.
+ * Resources that already have a hint are skipped. `max` caps how many hints
+ * are added, in that order. Returns the attributes of the inserted links.
+ */
+const addResourceHints = (root, options = {}) => {
+  const {
+    documentUrl,
+    preconnect = true,
+    fonts = true,
+    criticalImages = 'img[fetchpriority="high" i]',
+    modulepreload = true,
+    max = Infinity,
+  } = options;
+  const baseUrl = getBaseUrl(root, documentUrl);
+  const documentOrigin = getHttpOrigin(documentUrl);
+
+  const resources = [];
+  visitResources(root, (resource, node) => {
+    resources.push({ resource, node, url: resolveUrl(resource.value, baseUrl) });
+    return undefined;
+  });
+
+  const preconnected = new Set();
+  const preloaded = new Set();
+  resources.forEach(({ resource, node, url }) => {
+    if (resource.name !== 'link' || resource.attribute !== 'href') {
+      return;
+    }
+    const rels = (node.attribs.rel ?? '').toLowerCase().split(/\s+/);
+    if (rels.includes('preconnect') || rels.includes('dns-prefetch')) {
+      preconnected.add(getHttpOrigin(url) ?? resource.value);
+    }
+    if (rels.includes('preload') || rels.includes('modulepreload')) {
+      preloaded.add(url ?? resource.value);
+    }
+  });
+
+  const hints = [];
+  const addPreload = (rel, href, attribs) => {
+    const key = resolveUrl(href, baseUrl) ?? href;
+    if (preloaded.has(key)) {
+      return;
+    }
+    preloaded.add(key);
+    hints.push([{ rel, href, ...attribs }]);
   };
 
-  if (Array.isArray(node)) {
-    node.forEach(n => updateTitle(n, newTitle));
-    return;
+  if (preconnect) {
+    const origins = new Map();
+    resources.forEach(({ resource, node, url }) => {
+      const isHint = resource.name === 'link' && resource.kind === 'other';
+      const origin = getHttpOrigin(url);
+      if (isHint || ['navigation', 'form'].includes(resource.kind) || !origin || origin === documentOrigin) {
+        return;
+      }
+      origins.set(origin, origins.get(origin) || isCorsResource(resource, node));
+    });
+    origins.forEach((cors, origin) => {
+      if (!preconnected.has(origin)) {
+        hints.push([
+          { rel: 'preconnect', href: origin, ...cors ? { crossorigin: 'anonymous' } : {} },
+          { rel: 'dns-prefetch', href: origin },
+        ]);
+      }
+    });
   }
 
-  if (node.name === 'title') {
-    node.children = [newTitle];
-    return;
+  if (fonts) {
+    const fontResources = resources.filter(({ resource }) => resource.kind === 'font' && resource.location.type === 'css');
+    // one format is enough; browsers that support preload all read woff2
+    const hasWoff2 = fontResources.some(({ resource }) => getFontFormat(resource.value) === 'woff2');
+    fontResources
+      .filter(({ resource }) => !hasWoff2 || getFontFormat(resource.value) === 'woff2')
+      .forEach(({ resource }) => addPreload('preload', resource.value, {
+        as: 'font',
+        ...FONT_TYPES[getFontFormat(resource.value)] ? { type: FONT_TYPES[getFontFormat(resource.value)] } : {},
+        crossorigin: 'anonymous',
+      }));
+  }
+
+  if (criticalImages) {
+    querySelectorAll(root, criticalImages).forEach(({ attribs }) => {
+      if (!attribs.src) {
+        return;
+      }
+      addPreload('preload', attribs.src, {
+        as: 'image',
+        ...attribs.srcset ? { imagesrcset: attribs.srcset } : {},
+        ...attribs.sizes ? { imagesizes: attribs.sizes } : {},
+        fetchpriority: 'high',
+      });
+    });
   }
 
-  node.children?.forEach(child => updateTitle(child, newTitle));
+  if (modulepreload) {
+    resources
+      .filter(({ resource, node }) => resource.name === 'script'
+        && resource.attribute === 'src'
+        && node.attribs.type?.trim().toLowerCase() === 'module')
+      .forEach(({ resource, node }) => addPreload('modulepreload', resource.value, {
+        ...node.attribs.crossorigin != null ? { crossorigin: node.attribs.crossorigin } : {},
+      }));
+  }
+
+  const added = hints.slice(0, max).flat();
+  added.forEach((attribs) => insertHeadNode(root, h('link', attribs)));
+  return added;
 };
 
-const hasNode = (node, predicate) => {
-  if (!node) {
+// attributes that only matter while fetching an external script
+const SCRIPT_FETCH_ATTRS = ['src', 'integrity', 'crossorigin', 'referrerpolicy', 'fetchpriority', 'charset'];
+
+const isInlinableImage = (resource, node) => {
+  const { location } = resource;
+  if (/^(?:data:|#)/i.test(resource.value) || resource.kind !== 'image' || node.name === 'use') {
+    return false;
+  }
+  if (node.name === 'link' && (node.attribs.rel ?? '').toLowerCase().split(/\s+/).includes('preload')) {
     return false;
   }
+  return location.type === 'attribute'
+    || location.type === 'srcset'
+    || (location.type === 'css' && location.attribute === 'style');
+};
+
+/**
+ * Inlines external assets for single-file output. `loader(url, { kind })`
+ * resolves to the content of an absolute URL (a string, bytes, or
+ * `{ content, type }`), or to null to leave that asset alone. Stylesheet links
+ * become `<style>` with their `@import`s and `url()`s resolved, external
+ * scripts become inline scripts, and images up to `maxDataUriSize` bytes
+ * become `data:` URIs. Resolves to a report entry per loaded asset.
+ */
+const inlineAssets = async (root, loader, options = {}) => {
+  const {
+    documentUrl = 'file:///',
+    stylesheets = true,
+    scripts = true,
+    images = true,
+    maxDataUriSize = 8192,
+  } = options;
+  const baseUrl = getBaseUrl(root, documentUrl);
+  const report = [];
+  const cache = new Map();
 
-  if (Array.isArray(node)) {
-    return node.some(n => hasNode(n, predicate));
+  const loadAsset = (url, kind) => {
+    if (!cache.has(url)) {
+      cache.set(url, Promise.resolve(loader(url, { kind })).then((result) => normalizeAsset(result, url)));
+    }
+    return cache.get(url);
+  };
+
+  const context = {
+    baseUrl,
+    images,
+    load: async (url, kind) => {
+      const asset = await loadAsset(url, kind);
+      report.push(asset
+        ? { url, kind, status: 'inlined', size: asset.bytes.length }
+        : { url, kind, status: 'missing' });
+      return asset;
+    },
+    inline: async (url, kind) => {
+      const asset = await loadAsset(url, kind);
+      if (!asset) {
+        report.push({ url, kind, status: 'missing' });
+        return null;
+      }
+      const size = asset.bytes.length;
+      if (size > maxDataUriSize) {
+        report.push({ url, kind, status: 'too-large', size });
+        return null;
+      }
+      report.push({ url, kind, status: 'inlined', size });
+      return toDataUri(asset);
+    },
+  };
+
+  const parents = new Map();
+  const linkNodes = [];
+  const styleNodes = [];
+  const scriptNodes = [];
+  walk(root, (node, { parent }) => {
+    parents.set(node, parent);
+    const rels = (node.attribs?.rel ?? '').toLowerCase().split(/\s+/);
+    if (stylesheets && node.name === 'link' && node.attribs?.href && rels.includes('stylesheet') && !rels.includes('alternate')) {
+      linkNodes.push(node);
+    } else if (node.name === 'style') {
+      styleNodes.push(node);
+    } else if (scripts && node.name === 'script' && node.attribs?.src) {
+      scriptNodes.push(node);
+    }
+  });
+
+  await Promise.all(linkNodes.map(async (node) => {
+    const url = resolveUrl(node.attribs.href, baseUrl);
+    const asset = url && await context.load(url, 'style');
+    if (!asset) {
+      return;
+    }
+    const css = await inlineStylesheet(asset.text, url, context);
+    const { media, title, nonce, id } = node.attribs;
+    node.name = 'style';
+    node.attribs = Object.fromEntries(Object.entries({ id, media, title, nonce }).filter(([, value]) => value != null));
+    node.children = [escapeInlineCode(css, 'style')];
+  }));
+
+  await Promise.all(styleNodes.map(async (node) => {
+    node.children = await Promise.all(node.children.map(async (child) => (typeof child === 'string'
+      ? escapeInlineCode(await inlineStylesheet(child, baseUrl, context), 'style')
+      : child)));
+  }));
+
+  const movedScripts = await Promise.all(scriptNodes.map(async (node) => {
+    const url = resolveUrl(node.attribs.src, baseUrl);
+    if (!url) {
+      return false;
+    }
+    const asset = await loadAsset(url, 'script');
+    if (!asset) {
+      report.push({ url, kind: 'script', status: 'missing' });
+      return false;
+    }
+    const attribs = Object.fromEntries(Object.entries(node.attribs).filter(([key]) => !SCRIPT_FETCH_ATTRS.includes(key)));
+    const isModule = attribs.type?.trim().toLowerCase() === 'module';
+    const size = asset.bytes.length;
+    // inlined, the module would resolve its imports against the document
+    if (isModule && dependsOnModuleUrl(asset.text)) {
+      report.push({ url, kind: 'script', status: 'relative-imports', size });
+      return false;
+    }
+    report.push({ url, kind: 'script', status: 'inlined', size });
+    const isDeferred = !isModule && (attribs.defer != null || attribs.async != null);
+    if (isDeferred) {
+      delete attribs.defer;
+      delete attribs.async;
+    }
+    node.attribs = attribs;
+    node.children = [escapeInlineCode(asset.text, 'script')];
+    return isDeferred;
+  }));
+
+  // inline classic scripts ignore defer and async; running them at the end of
+  // the body keeps them from blocking the parser, in document order
+  const bodyNode = querySelector(root, 'body') ?? (Array.isArray(root) ? null : getHtmlNode(root));
+  scriptNodes.filter((node, index) => movedScripts[index]).forEach((node) => {
+    const siblings = parents.get(node)?.children ?? root;
+    siblings.splice(siblings.indexOf(node), 1);
+    (bodyNode?.children ?? root).push(node);
+  });
+
+  if (images) {
+    const candidates = [];
+    visitResources(root, (resource, node) => {
+      if (isInlinableImage(resource, node)) {
+        candidates.push(resolveUrl(resource.value, baseUrl));
+      }
+      return undefined;
+    });
+    const dataUris = await Promise.all(candidates.map((url) => (url ? context.inline(url, 'image') : null)));
+    let index = 0;
+    rewriteResources(root, (resource, node) => {
+      if (!isInlinableImage(resource, node)) {
+        return undefined;
+      }
+      return dataUris[index++] ?? undefined;
+    });
   }
 
-  if (predicate(getNodeProps(node))) {
-    return true;
+  return report;
+};
+
+const CSS_SKIPPED_TAGS = ['head', 'style', 'script', 'title', 'meta', 'link', 'base', 'template'];
+
+const isScreenStyle = (node) => {
+  const media = node.attribs?.media?.trim().toLowerCase();
+  return !media || media === 'all' || media === 'screen';
+};
+
+const parseInlinableSelector = (selector) => {
+  try {
+    return parseSelector(selector)[0];
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
   }
-  return node.children?.some(child => hasNode(child, predicate)) ?? false;
+};
+
+// normal < inline normal < important < inline important, then specificity, then source order
+const compareDeclarations = (a, b) => (a.important - b.important)
+  || (a.inline - b.inline)
+  || compareSpecificity(a.specificity, b.specificity)
+  || (a.order - b.order);
+
+const formatDeclarations = (declarations) => declarations
+  .map(({ property, value, important }) => `${property}: ${value}${important ? ' !important' : ''}`)
+  .join('; ');
+
+/**
+ * Moves the rules of `<style>` blocks into `style` attributes for HTML email.
+ * Declarations merge by the cascade: `!important`, then inline over
+ * stylesheet, then specificity, then source order. At-rules such as
+ * `@media` and selectors the matcher does not support (`:hover`,
+ * `::before`, ...) stay in the `<style>` block; blocks left empty are
+ * removed. Returns the number of styled elements and what was left behind.
+ */
+const inlineCss = (root, options = {}) => {
+  const { keepInlinedRules = false } = options;
+  const headNode = querySelector(root, 'head');
+  const headElements = new Set(headNode ? querySelectorAll(headNode, '*') : []);
+  const isTarget = (node) => !headElements.has(node) && !CSS_SKIPPED_TAGS.includes(node.name);
+
+  const matched = new Map();
+  const remaining = [];
+  const emptied = new Set();
+  let order = 0;
+
+  querySelectorAll(root, 'style').filter(isScreenStyle).forEach((styleNode) => {
+    styleNode.children = styleNode.children.map((child) => {
+      if (typeof child !== 'string') {
+        return child;
+      }
+      const pieces = parseCssRules(child).map((rule) => {
+        const source = child.slice(rule.start, rule.end);
+        if (rule.type === 'at-rule') {
+          remaining.push(rule.text.split(/[{;]/)[0].trim());
+          return source;
+        }
+        const kept = [];
+        const declarations = parseDeclarations(rule.body);
+        splitSelectorList(rule.selector).forEach((selector) => {
+          const parts = parseInlinableSelector(selector);
+          if (!parts) {
+            kept.push(selector);
+            return;
+          }
+          const specificity = getSpecificity(parts);
+          const entries = declarations.map((declaration) => ({
+            ...declaration,
+            specificity,
+            inline: false,
+            order: order++,
+          }));
+          querySelectorAll(root, selector).filter(isTarget).forEach((node) => {
+            matched.set(node, [...(matched.get(node) ?? []), ...entries]);
+          });
+        });
+        remaining.push(...kept);
+        if (keepInlinedRules || kept.length === splitSelectorList(rule.selector).length) {
+          return source;
+        }
+        return kept.length ? `${kept.join(', ')} {${rule.body}}` : null;
+      });
+      return pieces.filter((piece) => piece != null).join('\n');
+    });
+    if (!styleNode.children.some((child) => typeof child !== 'string' || child.trim())) {
+      emptied.add(styleNode);
+    }
+  });
+
+  matched.forEach((declarations, node) => {
+    const inline = parseDeclarations(node.attribs.style).map((declaration) => ({
+      ...declaration,
+      specificity: [0, 0, 0],
+      inline: true,
+      order: order++,
+    }));
+    const merged = new Map();
+    [...declarations, ...inline].sort(compareDeclarations).forEach((declaration) => {
+      // the winner goes last so that shorthands and longhands keep their cascade order
+      merged.delete(declaration.property);
+      merged.set(declaration.property, declaration);
+    });
+    node.attribs.style = formatDeclarations([...merged.values()]);
+  });
+
+  walk(root, (node, ctx) => {
+    if (ctx.index !== null && emptied.has(node)) {
+      ctx.remove();
+    }
+  });
+
+  return { styled: matched.size, remaining };
+};
+
+const updateTitle = (node, newTitle) => {
+  walk(node, (child, ctx) => {
+    if (child.name === 'title') {
+      child.children = [newTitle];
+      ctx.skip();
+    }
+  });
+};
+
+const hasNode = (node, predicate) => {
+  let found = false;
+  walk(node, (child, ctx) => {
+    if (predicate(getNodeProps(child))) {
+      found = true;
+      ctx.stop();
+    }
+  });
+  return found;
 };
 
 const setTitle = (root, content) => {
@@ -224,15 +1357,7 @@ const setTitle = (root, content) => {
     updateTitle(root, content);
     return;
   }
-  const headNode = ensureHeadNode(root);
-
-  const titleNode = {
-    name: 'title',
-    attribs: {},
-    children: [content],
-  };
-
-  headNode.children.unshift(titleNode);
+  insertHeadNode(root, h('title', null, content));
 };
 
 const setCharset = (root, charset = 'utf-8') => {
@@ -242,29 +1367,14 @@ const setCharset = (root, charset = 'utf-8') => {
     };
 
     const { attribs } = node;
-    return (
-      attribs?.charset
-      || (attribs?.['http-equiv']?.toLowerCase() === 'content-type'
-        && attribs?.content?.toLowerCase().includes('charset'))
-      || (attribs?.name?.toLowerCase() === 'charset')
-    );
+    return isCharsetMeta(attribs) || attribs?.name?.toLowerCase() === 'charset';
   });
 
   if (hasCharset) {
     return;
   }
 
-  const headNode = ensureHeadNode(root);
-
-  const charsetNode = {
-    name: 'meta',
-    attribs: {
-      charset,
-    },
-    children: [],
-  };
-
-  headNode.children.unshift(charsetNode);
+  insertHeadNode(root, h('meta', { charset }));
 };
 
 const setViewport = (root, content = 'width=device-width, initial-scale=1.0') => {
@@ -276,70 +1386,349 @@ const setViewport = (root, content = 'width=device-width, initial-scale=1.0') =>
     return;
   }
 
+  insertHeadNode(root, h('meta', { name: 'viewport', content }));
+};
+
+const META_KEYS = ['name', 'property', 'http-equiv'];
+const ICON_RELS = ['icon', 'shortcut', 'apple-touch-icon', 'apple-touch-icon-precomposed', 'mask-icon'];
+
+const getMetaKey = (attribs) => {
+  const keys = META_KEYS.filter((key) => attribs?.[key] != null);
+  if (keys.length !== 1) {
+    throw new TypeError('Expected exactly one of name, property or http-equiv');
+  }
+  return keys[0];
+};
+
+const removeHeadNodes = (root, predicate) => {
   const headNode = ensureHeadNode(root);
-  const viewportNode = {
-    name: 'meta',
-    attribs: {
-      name: 'viewport',
-      content,
-    },
-    children: [],
+  const removed = headNode.children.filter((node) => typeof node !== 'string' && predicate(node));
+  headNode.children = headNode.children.filter((node) => !removed.includes(node));
+  return removed;
+};
+
+/**
+ * Updates the `<meta>` with the same name, property or http-equiv (and media),
+ * or inserts one. Duplicates of it are removed.
+ */
+const setMeta = (root, attribs) => {
+  const key = getMetaKey(attribs);
+  const value = String(attribs[key]).toLowerCase();
+  const [node, ...duplicates] = ensureHeadNode(root).children.filter((child) => child.name === 'meta'
+    && child.attribs?.[key]?.toLowerCase() === value
+    && (child.attribs.media ?? null) === (attribs.media ?? null));
+
+  if (!node) {
+    return insertHeadNode(root, h('meta', attribs));
+  }
+  Object.assign(node.attribs, attribs);
+  removeHeadNodes(root, (child) => duplicates.includes(child));
+  return node;
+};
+
+/**
+ * Removes every `<meta>` with the given name, property or http-equiv, and
+ * returns the removed nodes. Passing `media` only removes that variant.
+ */
+const removeMeta = (root, attribs) => {
+  const key = getMetaKey(attribs);
+  const value = String(attribs[key]).toLowerCase();
+  return removeHeadNodes(root, (node) => node.name === 'meta'
+    && node.attribs?.[key]?.toLowerCase() === value
+    && (attribs.media == null || node.attribs.media === attribs.media));
+};
+
+const setCanonical = (root, href) => {
+  const [node, ...duplicates] = ensureHeadNode(root).children
+    .filter((child) => child.name === 'link' && getRels(child).includes('canonical'));
+
+  if (!node) {
+    return insertHeadNode(root, h('link', { rel: 'canonical', href }));
+  }
+  node.attribs.href = href;
+  removeHeadNodes(root, (child) => duplicates.includes(child));
+  return node;
+};
+
+const toMetaName = (prefix, key, separator) => `${prefix}:${key.replace(/[A-Z]/g, (ch) => `${separator}${ch.toLowerCase()}`)}`;
+
+/**
+ * Writes a group of metas such as `og:*` or `twitter:*`. Scalars are upserted,
+ * `null` removes the entry, and objects or arrays (`image: [{ url, width }]`)
+ * replace every `prefix:key` meta with structured entries. Any value drops the
+ * stale `prefix:key:*` entries first, so `og:image:width` cannot outlive its image.
+ */
+const setMetaGroup = (root, attribute, prefix, data, separator) => {
+  const entries = Object.entries(data)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => [toMetaName(prefix, key, separator), value]);
+
+  entries.forEach(([name, value]) => {
+    const isScalar = value !== null && typeof value !== 'object';
+    removeHeadNodes(root, (node) => node.name === 'meta'
+      && ((!isScalar && node.attribs?.[attribute] === name) || node.attribs?.[attribute]?.startsWith(`${name}:`)));
+  });
+
+  entries.forEach(([name, value]) => {
+    if (value !== null && typeof value !== 'object') {
+      setMeta(root, { [attribute]: name, content: String(value) });
+      return;
+    }
+
+    [value ?? []].flat().forEach((item) => {
+      const { url, ...rest } = typeof item === 'object' ? item : { url: item };
+      [[name, url], ...Object.entries(rest).map(([field, content]) => [toMetaName(name, field, separator), content])]
+        .filter(([, content]) => content != null)
+        .forEach(([entryName, content]) => insertHeadNode(root, h('meta', { [attribute]: entryName, content: String(content) })));
+    });
+  });
+};
+
+const setOpenGraph = (root, data) => setMetaGroup(root, 'property', 'og', data, '_');
+
+const setTwitterCard = (root, data) => setMetaGroup(root, 'name', 'twitter', data, ':');
+
+/**
+ * Replaces every icon link (`icon`, `shortcut icon`, `apple-touch-icon`,
+ * `mask-icon`) with the given list of hrefs or `{ href, rel, sizes, type, ... }`.
+ */
+const setFavicons = (root, icons) => {
+  removeHeadNodes(root, (node) => node.name === 'link' && getRels(node).some((rel) => ICON_RELS.includes(rel)));
+
+  return icons.map((icon) => {
+    const { href, rel = 'icon', ...rest } = typeof icon === 'string' ? { href: icon } : icon;
+    return insertHeadNode(root, h('link', { rel, href, ...rest }));
+  });
+};
+
+const setLang = (root, lang) => {
+  const htmlNode = getHtmlNode(root);
+  htmlNode.attribs ??= {};
+  if (lang == null) {
+    delete htmlNode.attribs.lang;
+    delete htmlNode.attribs['xml:lang'];
+    return;
+  }
+  htmlNode.attribs.lang = lang;
+  if (htmlNode.attribs['xml:lang'] != null) {
+    htmlNode.attribs['xml:lang'] = lang;
+  }
+};
+
+/**
+ * Reorders the head by loading priority: charset, CSP meta, viewport, base,
+ * title, preconnect hints, blocking and async scripts, stylesheets, preloads,
+ * deferred scripts, then everything else. Nodes whose relative order affects
+ * execution never swap; a diagnostic is returned for each node held back.
+ */
+const optimizeHead = (root) => {
+  const headNode = getHtmlNode(root).children?.find((node) => node.name === 'head');
+  if (!headNode) {
+    return [];
+  }
+  const { children, diagnostics } = orderHeadChildren(headNode.children);
+  headNode.children = children;
+  return diagnostics;
+};
+
+const CSP_META_SELECTOR = 'meta[http-equiv="content-security-policy" i]';
+
+const getInlineCode = (node) => (node.children ?? [])
+  .map((child) => (typeof child === 'string' ? child : child.content ?? ''))
+  .join('');
+
+/**
+ * Allows every inline script and style under a Content-Security-Policy, by hash
+ * or by stamping a shared nonce on them, and writes the merged policy to a
+ * `<meta http-equiv="Content-Security-Policy">` in the head. Safe to call again
+ * after more inline code was inserted: existing sources and nonces are reused.
+ */
+const applyCsp = (root, options = {}) => {
+  const { mode = 'hash', algorithm = 'sha256', output = 'meta' } = options;
+  if (mode !== 'hash' && mode !== 'nonce') {
+    throw new Error(`Unknown CSP mode "${mode}", expected "hash" or "nonce"`);
+  }
+  if (output !== 'meta' && output !== 'header') {
+    throw new Error(`Unknown CSP output "${output}", expected "meta" or "header"`);
+  }
+
+  const metaNode = querySelector(root, CSP_META_SELECTOR);
+  const directives = parseCsp(options.policy ?? metaNode?.attribs.content);
+
+  const inlineNodes = [];
+  const inlineAttributes = [];
+  const origins = { 'script-src': [], 'style-src': [] };
+  const addOrigin = (directive, url) => {
+    const origin = getCspOrigin(url);
+    if (origin && !origins[directive].includes(origin)) {
+      origins[directive].push(origin);
+    }
   };
+  traverse(root, (node) => {
+    Object.keys(node.attribs ?? {}).forEach((attribute) => {
+      const key = attribute.toLowerCase();
+      if (key === 'style' || key.startsWith('on')) {
+        inlineAttributes.push({ directive: key === 'style' ? 'style-src' : 'script-src', name: node.name, attribute });
+      }
+    });
+    if (node.name === 'script' && isExecutableScript(node.attribs)) {
+      if (node.attribs?.src) {
+        addOrigin('script-src', node.attribs.src);
+      } else {
+        inlineNodes.push({ directive: 'script-src', node });
+      }
+    } else if (node.name === 'style') {
+      inlineNodes.push({ directive: 'style-src', node });
+    } else if (node.name === 'link' && node.attribs?.href
+      && (node.attribs.rel ?? '').toLowerCase().split(/\s+/).includes('stylesheet')) {
+      addOrigin('style-src', node.attribs.href);
+    }
+  });
+
+  const nonce = mode === 'nonce'
+    ? options.nonce
+      ?? getCspNonce(directives)
+      ?? inlineNodes.map(({ node }) => node.attribs?.nonce).find(Boolean)
+      ?? createNonce()
+    : null;
+
+  const sources = { 'script-src': [], 'style-src': [] };
+  inlineNodes.forEach(({ directive, node }) => {
+    let source;
+    if (nonce) {
+      node.attribs = { ...node.attribs, nonce };
+      source = `'nonce-${nonce}'`;
+    } else {
+      source = hashCspSource(getInlineCode(node), algorithm);
+    }
+    if (!sources[directive].includes(source)) {
+      sources[directive].push(source);
+    }
+  });
+
+  const hasDirective = (name) => directives.some(([existing]) => existing === name);
+  // inline attributes follow the -attr directives, which fall back to script-src and style-src
+  const getAttributeSources = (directive) => getCspSources(directives, [`${directive}-attr`, directive, 'default-src']);
+  const ignoredUnsafeInline = [];
+  Object.entries(sources).forEach(([directive, list]) => {
+    if (!list.length) {
+      return;
+    }
+    const elemDirective = `${directive}-elem`;
+    if (!hasDirective(directive) && !hasDirective('default-src')) {
+      // nothing restricted these before: only <script> and <style> elements get a policy, through
+      // the -elem directive, so attributes stay allowed and external files keep loading
+      if (!hasDirective(elemDirective)) {
+        list.unshift(...origins[directive]);
+      }
+      addCspSources(directives, elemDirective, list);
+    } else {
+      const attributesAllowed = allowsUnsafeInline(getAttributeSources(directive));
+      // the -elem directives take precedence for <script> and <style> when present
+      if (hasDirective(elemDirective)) {
+        addCspSources(directives, elemDirective, list);
+      }
+      addCspSources(directives, directive, list);
+      if (attributesAllowed && !hasDirective(`${directive}-attr`)
+        && inlineAttributes.some((entry) => entry.directive === directive)) {
+        directives.push([`${directive}-attr`, ['\'unsafe-inline\'']]);
+      }
+    }
+    // browsers ignore 'unsafe-inline' once a directive lists a hash or nonce
+    directives
+      .filter(([name, values]) => (name === directive || name === elemDirective) && values.includes('\'unsafe-inline\''))
+      .forEach(([name]) => ignoredUnsafeInline.push(name));
+  });
+  const blockedAttributes = inlineAttributes
+    .filter(({ directive }) => !allowsUnsafeInline(getAttributeSources(directive)));
+
+  const policy = serializeCsp(directives);
 
-  headNode.children.push(viewportNode);
+  if (output === 'meta' && policy) {
+    if (metaNode) {
+      metaNode.attribs.content = policy;
+    } else {
+      const headNode = ensureHeadNode(root);
+      // the policy only applies to content after it, so it goes right after the charset
+      const charsetIndex = headNode.children.findIndex((node) => node.name === 'meta' && node.attribs?.charset);
+      headNode.children.splice(charsetIndex + 1, 0, h('meta', { 'http-equiv': 'Content-Security-Policy', content: policy }));
+    }
+  }
+
+  return {
+    policy,
+    nonce,
+    sources,
+    ignoredUnsafeInline,
+    blockedAttributes,
+  };
 };
 
 const createHtmlDocument = (title = '', options = {}) => {
   const { lang, charset = 'utf-8', viewport = 'width=device-width, initial-scale=1.0' } = options;
 
-  return {
-    name: 'html',
-    attribs: {
-      ...lang ? { lang } : {},
-    },
-    children: [
-      {
-        name: 'head',
-        attribs: {},
-        children: [
-          {
-            name: 'meta',
-            attribs: { charset },
-            children: [],
-          },
-          {
-            name: 'meta',
-            attribs: { name: 'viewport', content: viewport },
-            children: [],
-          },
-          {
-            name: 'title',
-            attribs: {},
-            children: [title],
-          },
-        ],
-      },
-      {
-        name: 'body',
-        attribs: {},
-        children: [],
-      },
-    ],
-  };
+  return h('html', { lang: lang || null }, [
+    h('head', null, [
+      h('meta', { charset }),
+      h('meta', { name: 'viewport', content: viewport }),
+      // h() drops empty strings, but the document keeps its (empty) title text node
+      { ...h('title'), children: [title] },
+    ]),
+    h('body'),
+  ]);
 };
 
 export {
+  addIntegrity,
+  addResourceHints,
+  append,
+  applyCsp,
+  cloneNode,
+  codeFrame,
   createHtmlDocument,
+  createHtmlRewriter,
+  escapeAttribute,
+  escapeText,
   extractAllResources,
+  fragmentToJson,
+  getLocation,
+  h,
   hasNode,
   htmlToJson,
+  inlineAssets,
+  inlineCss,
+  insertAfter,
+  insertBefore,
   insertInlineScript,
   insertInlineStyle,
   insertLink,
+  isDraft,
   jsonToHtml,
+  move,
+  optimizeHead,
+  prepend,
+  produce,
+  querySelector,
+  querySelectorAll,
+  removeMeta,
   removeNodes,
+  render,
+  replaceWith,
+  resolveResources,
+  rewriteResources,
+  sanitize,
+  SANITIZE_PRESETS,
+  setCanonical,
   setCharset,
+  setFavicons,
+  setLang,
+  setMeta,
+  setOpenGraph,
   setTitle,
+  setTwitterCard,
   setViewport,
   traverse,
+  unwrap,
+  walk,
+  wrap,
 };
@@ -2,18 +2,45 @@ import assert from 'node:assert';
 import { before,describe, test } from 'node:test';
 
 import {
+  addResourceHints,
+  append,
   createHtmlDocument,
+  escapeAttribute,
+  escapeText,
   extractAllResources,
+  fragmentToJson,
+  h,
   hasNode,
   htmlToJson,
+  inlineCss,
+  insertAfter,
+  insertBefore,
   insertInlineScript,
+  insertInlineStyle,
   insertLink,
   jsonToHtml,
+  move,
+  prepend,
+  produce,
+  querySelector,
+  querySelectorAll,
+  removeMeta,
   removeNodes,
+  replaceWith,
+  resolveResources,
+  rewriteResources,
+  setCanonical,
   setCharset,
+  setFavicons,
+  setLang,
+  setMeta,
+  setOpenGraph,
   setTitle,
+  setTwitterCard,
   setViewport,
   traverse,
+  unwrap,
+  wrap,
 } from './index.mjs';
 
 function countMetaTags(ast) {
@@ -139,6 +166,204 @@ describe('HTML Parser Utils', () => {
     });
   });
 
+  describe('htmlToJson foreign content', () => {
+    test('should restore the case of SVG and MathML names', () => {
+      const nodes = fragmentToJson('<svg viewBox="0 0 1 1"><linearGradient gradientUnits="userSpaceOnUse"></linearGradient><foreignObject><div viewBox="x"></div></foreignObject></svg><math><mi definitionURL="u"></mi></math>');
+      const [svg, math] = nodes;
+      assert.deepStrictEqual(svg.attribs, { viewBox: '0 0 1 1' });
+      assert.strictEqual(svg.children[0].name, 'linearGradient');
+      assert.deepStrictEqual(svg.children[0].attribs, { gradientUnits: 'userSpaceOnUse' });
+      assert.strictEqual(svg.children[1].name, 'foreignObject');
+      assert.deepStrictEqual(svg.children[1].children[0].attribs, { viewbox: 'x' });
+      assert.deepStrictEqual(math.children[0].attribs, { definitionURL: 'u' });
+    });
+
+    test('should round-trip inline SVG in html syntax', () => {
+      const html = '<svg viewBox="0 0 10 10"><clipPath id="c"><rect width="10" height="10"/></clipPath></svg>';
+      assert.strictEqual(
+        jsonToHtml(fragmentToJson(html)),
+        '<svg viewBox="0 0 10 10"><clipPath id="c"><rect width="10" height="10"></rect></clipPath></svg>',
+      );
+    });
+  });
+
+  describe('htmlToJson preserve mode', () => {
+    const preservedHtml = [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '  <head>',
+      '    <title>A &amp; B &copy;</title>',
+      '    <!--[if lt IE 9]><script src="html5shiv.js"></script><![endif]-->',
+      '  </head>',
+      '  <body>',
+      '    <pre>\n  indented\n    more  </pre>',
+      '    <svg><![CDATA[ data ]]></svg>',
+      '    <?xml-stylesheet href="a.css"?>',
+      '  </body>',
+      '</html>',
+      '',
+    ].join('\n');
+
+    test('should return a document node with typed nodes', () => {
+      const result = htmlToJson(preservedHtml, { preserve: true });
+      assert.strictEqual(result.type, 'document');
+      assert.deepStrictEqual(result.children[0], { type: 'doctype', content: '!DOCTYPE html' });
+      assert.strictEqual(result.children[1], '\n');
+
+      const types = [];
+      traverse(result, (node) => {
+        if (node.type) {
+          types.push(node.type);
+        }
+      });
+      assert.deepStrictEqual(types, [
+        'document',
+        'doctype',
+        'raw',
+        'comment',
+        'cdata',
+        'processing-instruction',
+      ]);
+    });
+
+    test('should keep whitespace-only text', () => {
+      const result = htmlToJson('<html><head>   </head><body><pre>  </pre></body></html>', { preserve: true });
+      const htmlNode = result.children[0];
+      assert.deepStrictEqual(htmlNode.children[0].children, ['   ']);
+      assert.deepStrictEqual(htmlNode.children[1].children[0].children, ['  ']);
+    });
+
+    test('should keep entity spelling as raw text', () => {
+      const result = htmlToJson('<html><body><p>&copy; a &gt; b</p><p>a &amp; b</p></body></html>', { preserve: true });
+      const [first, second] = result.children[0].children[0].children;
+      assert.deepStrictEqual(first.children, [{ type: 'raw', content: '&copy; a &gt; b' }]);
+      assert.deepStrictEqual(second.children, ['a & b']);
+    });
+
+    test('should return a document for sources without an html element', () => {
+      const html = '<!doctype html><p>x';
+      const result = htmlToJson(html, { preserve: true });
+      assert.strictEqual(result.type, 'document');
+      assert.strictEqual(jsonToHtml(result), '<!doctype html><p>x</p>');
+      assert.strictEqual(htmlToJson(html), null);
+    });
+
+    test('should serialize unmodified documents byte-identical', () => {
+      const result = htmlToJson(preservedHtml, { preserve: true });
+      assert.strictEqual(jsonToHtml(result), preservedHtml);
+    });
+
+    test('should keep start tags as written until their attributes change', () => {
+      const html = '<html><body><DIV  class=a\nid=\'b\' hidden><br/><img src=x.png alt="A &amp; B"></div><svg viewBox="0 0 1 1"/></body></html>';
+      const result = htmlToJson(html, { preserve: true });
+      const div = result.children[0].children[0].children[0];
+      assert.strictEqual(div.startTag, '<DIV  class=a\nid=\'b\' hidden>');
+      assert.strictEqual(jsonToHtml(result), html);
+
+      div.attribs.id = 'c';
+      div.children[1].name = 'image';
+      assert.strictEqual(
+        jsonToHtml(result),
+        '<html><body><div class="a" id="c" hidden><br/><image src="x.png" alt="A &amp; B"></image></div><svg viewBox="0 0 1 1"/></body></html>',
+      );
+      assert.match(jsonToHtml(result, { minify: true }), /<br><image src=x.png/);
+    });
+
+    test('should not keep start tags the parser implied', () => {
+      const result = fragmentToJson('a</p><table><tr><td>x</td></tr></table>', { preserve: true });
+      assert.strictEqual(result[1].startTag, undefined);
+      assert.strictEqual(jsonToHtml(result), 'a<p></p><table><tr><td>x</td></tr></table>');
+    });
+
+    test('should work with head helpers', () => {
+      const result = htmlToJson(preservedHtml, { preserve: true });
+      setTitle(result, 'New');
+      insertLink(result, '/a.css');
+      const html = jsonToHtml(result);
+      assert.ok(html.startsWith('<!DOCTYPE html>\n<html lang="en">'));
+      assert.ok(html.includes('<title>New</title>'));
+      assert.ok(html.includes('<link rel="stylesheet" href="/a.css"></head>'));
+      assert.strictEqual(result.children.length, 4);
+    });
+
+    test('should remove comments by type', () => {
+      const result = htmlToJson(preservedHtml, { preserve: true });
+      removeNodes(result, (node) => node.type === 'comment');
+      assert.strictEqual(jsonToHtml(result).includes('<!--'), false);
+    });
+  });
+
+  describe('fragmentToJson', () => {
+    test('should parse sibling nodes into an array', () => {
+      const result = fragmentToJson('<p>Intro</p>\n<ul><li>One</li><li>Two</li></ul>');
+      assert.deepStrictEqual(result, [
+        { name: 'p', attribs: {}, children: ['Intro'] },
+        {
+          name: 'ul',
+          attribs: {},
+          children: [
+            { name: 'li', attribs: {}, children: ['One'] },
+            { name: 'li', attribs: {}, children: ['Two'] },
+          ],
+        },
+      ]);
+    });
+
+    test('should keep top-level text', () => {
+      const result = fragmentToJson('Hello <b>world</b>!');
+      assert.deepStrictEqual(result, ['Hello ', { name: 'b', attribs: {}, children: ['world'] }, '!']);
+    });
+
+    test('should parse inside the given context element', () => {
+      const rows = fragmentToJson('<tr><td>a</td><td>b</td></tr><tr><td>c</td></tr>', { context: 'tbody' });
+      assert.deepStrictEqual(rows.map((row) => row.name), ['tr', 'tr']);
+      assert.strictEqual(rows[0].children.length, 2);
+
+      const script = fragmentToJson('if (a < b) { x = "<p>"; }', { context: 'script' });
+      assert.deepStrictEqual(script, ['if (a < b) { x = "<p>"; }']);
+    });
+
+    test('should not lose nodes that close the context element', () => {
+      const result = fragmentToJson('<p>a</p><p>b</p>', { context: 'p' });
+      assert.deepStrictEqual(result.map((node) => node.children[0]), ['a', 'b']);
+    });
+
+    test('should support preserve mode', () => {
+      const html = '<!-- note -->\n<p>&copy; 2024</p>\n';
+      const result = fragmentToJson(html, { preserve: true });
+      assert.deepStrictEqual(result[0], { type: 'comment', content: ' note ' });
+      assert.strictEqual(jsonToHtml(result), html);
+    });
+
+    test('should throw for void context elements', () => {
+      assert.throws(() => fragmentToJson('x', { context: 'img' }), /void element <img>/);
+    });
+
+    test('should round-trip through jsonToHtml', () => {
+      const html = '<p class="lead">A &amp; B</p><ul><li>One</li></ul>';
+      const result = fragmentToJson(html);
+      assert.strictEqual(jsonToHtml(result), html);
+      assert.strictEqual(
+        jsonToHtml(fragmentToJson('a < b', { context: 'style' }), { context: 'style' }),
+        'a < b',
+      );
+    });
+
+    test('should work with array helpers', () => {
+      const nodes = fragmentToJson('<p class="ad">x</p><div><p class="ad">y</p><p>z</p></div>');
+      assert.strictEqual(hasNode(nodes, (node) => node.attribs?.class === 'ad'), true);
+
+      const result = removeNodes(nodes, (node) => node.attribs?.class === 'ad');
+      assert.strictEqual(result, nodes);
+      assert.strictEqual(jsonToHtml(nodes), '<div><p>z</p></div>');
+      assert.strictEqual(hasNode(nodes, (node) => node.attribs?.class === 'ad'), false);
+
+      const names = [];
+      traverse(nodes, (node) => names.push(node.name ?? node));
+      assert.deepStrictEqual(names, ['div', 'p', 'z']);
+    });
+  });
+
   describe('jsonToHtml', () => {
     test('should convert JSON AST back to HTML', () => {
       const simpleAst = {
@@ -157,7 +382,56 @@ describe('HTML Parser Utils', () => {
         children: [],
       };
       const result = jsonToHtml(metaAst);
-      assert.strictEqual(result, '<meta charset="utf-8" />');
+      assert.strictEqual(result, '<meta charset="utf-8">');
+    });
+
+    test('should write every void element without an end tag', () => {
+      ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'keygen', 'link', 'meta', 'param', 'source', 'track', 'wbr']
+        .forEach((name) => {
+          assert.strictEqual(jsonToHtml({ name, attribs: {}, children: [] }), `<${name}>`);
+        });
+      assert.strictEqual(
+        jsonToHtml({ name: 'colgroup', attribs: {}, children: [{ name: 'col', attribs: { span: '2' } }] }),
+        '<colgroup><col span="2"></colgroup>',
+      );
+    });
+
+    test('should self-close void elements in xhtml syntax', () => {
+      const ast = { name: 'p', attribs: {}, children: ['a', { name: 'br', attribs: {}, children: [] }, 'b'] };
+      assert.strictEqual(jsonToHtml(ast, { syntax: 'xhtml' }), '<p>a<br />b</p>');
+      assert.throws(() => jsonToHtml(ast, { syntax: 'xml' }), /Unknown syntax "xml"/);
+    });
+
+    test('should throw when a void element has children', () => {
+      assert.throws(
+        () => jsonToHtml({ name: 'img', attribs: { src: 'a.png' }, children: ['alt'] }),
+        /Void element <img> cannot have children/,
+      );
+    });
+
+    test('should write boolean attributes by presence', () => {
+      const ast = {
+        name: 'input',
+        attribs: {
+          type: 'checkbox',
+          checked: '',
+          disabled: 'disabled',
+          required: true,
+          readonly: false,
+          value: null,
+        },
+        children: [],
+      };
+      assert.strictEqual(jsonToHtml(ast), '<input type="checkbox" checked disabled required>');
+      assert.strictEqual(
+        jsonToHtml(ast, { syntax: 'xhtml' }),
+        '<input type="checkbox" checked="checked" disabled="disabled" required="required" />',
+      );
+    });
+
+    test('should round-trip void elements and boolean attributes', () => {
+      const html = '<form><input name="a" disabled><br><select multiple><option selected>x</option></select></form>';
+      assert.strictEqual(jsonToHtml(fragmentToJson(html)), html);
     });
 
     test('should handle nested elements', () => {
@@ -189,6 +463,65 @@ describe('HTML Parser Utils', () => {
       const result = jsonToHtml(ast);
       assert.strictEqual(result, '<div>content</div>');
     });
+
+    test('should escape text and attribute values', () => {
+      const ast = {
+        name: 'p',
+        attribs: { title: 'say "hi" & <bye>' },
+        children: ['1 < 2 && <script>alert(1)</script>'],
+      };
+      const result = jsonToHtml(ast);
+      assert.strictEqual(
+        result,
+        '<p title="say &quot;hi&quot; &amp; <bye>">1 &lt; 2 &amp;&amp; &lt;script&gt;alert(1)&lt;/script&gt;</p>',
+      );
+    });
+
+    test('should escape text inside title', () => {
+      const result = jsonToHtml({ name: 'title', attribs: {}, children: ['a </title> & b'] });
+      assert.strictEqual(result, '<title>a &lt;/title&gt; &amp; b</title>');
+    });
+
+    test('should leave raw text elements unescaped', () => {
+      assert.strictEqual(
+        jsonToHtml({ name: 'script', attribs: {}, children: ['if (a < b && c) {}'] }),
+        '<script>if (a < b && c) {}</script>',
+      );
+      assert.strictEqual(
+        jsonToHtml({ name: 'style', attribs: {}, children: ['a > b { color: red; }'] }),
+        '<style>a > b { color: red; }</style>',
+      );
+      assert.strictEqual(
+        jsonToHtml({ name: 'textarea', attribs: {}, children: ['<b>bold</b> &amp;'] }),
+        '<textarea><b>bold</b> &amp;</textarea>',
+      );
+    });
+
+    test('should throw when raw text would close its element', () => {
+      assert.throws(
+        () => jsonToHtml({ name: 'script', attribs: {}, children: ['a = "</script><img src=x>"'] }),
+        /must not contain "<\/script"/,
+      );
+      assert.throws(
+        () => jsonToHtml({ name: 'style', attribs: {}, children: ['</STYLE >'] }),
+        /must not contain "<\/style"/,
+      );
+      assert.doesNotThrow(
+        () => jsonToHtml({ name: 'script', attribs: {}, children: ['"</scripts>"'] }),
+      );
+    });
+  });
+
+  describe('escapeText / escapeAttribute', () => {
+    test('should escape per context', () => {
+      assert.strictEqual(escapeText('<a href="x">&\u00a0</a>'), '&lt;a href="x"&gt;&amp;&nbsp;&lt;/a&gt;');
+      assert.strictEqual(escapeAttribute('<a href="x">&\u00a0</a>'), '<a href=&quot;x&quot;>&amp;&nbsp;</a>');
+    });
+
+    test('should stringify non-string values', () => {
+      assert.strictEqual(escapeText(42), '42');
+      assert.strictEqual(escapeAttribute(true), 'true');
+    });
   });
 
   describe('traverse', () => {
@@ -286,6 +619,92 @@ describe('HTML Parser Utils', () => {
       });
     });
 
+    test('should report kind and attribute location', () => {
+      const resources = extractAllResources(sampleJsonAst);
+      assert.deepStrictEqual(resources.map(({ name, kind, location }) => [name, kind, location]), [
+        ['link', 'style', { type: 'attribute', attribute: 'href' }],
+        ['img', 'image', { type: 'attribute', attribute: 'src' }],
+        ['a', 'navigation', { type: 'attribute', attribute: 'href' }],
+        ['script', 'script', { type: 'attribute', attribute: 'src' }],
+      ]);
+    });
+
+    test('should discover srcset, poster, svg and object resources', () => {
+      const nodes = fragmentToJson([
+        '<picture><source srcset="a.webp 1x, a@2x.webp 2x"><img src="a.png" srcset="a.png 480w"></picture>',
+        '<video poster="poster.jpg" src="movie.mp4"><track src="subs.vtt"></video>',
+        '<svg><use xlink:href="sprite.svg#icon"></use></svg>',
+        '<object data="movie.swf" codebase="/plugins/"></object>',
+        '<form action="/submit"><button formaction="/other">Go</button></form>',
+      ].join(''));
+      const resources = extractAllResources(nodes);
+      assert.deepStrictEqual(resources.map(({ name, attribute, value, kind }) => [name, attribute, value, kind]), [
+        ['source', 'srcset', 'a.webp', 'image'],
+        ['source', 'srcset', 'a@2x.webp', 'image'],
+        ['img', 'src', 'a.png', 'image'],
+        ['img', 'srcset', 'a.png', 'image'],
+        ['video', 'src', 'movie.mp4', 'media'],
+        ['video', 'poster', 'poster.jpg', 'image'],
+        ['track', 'src', 'subs.vtt', 'media'],
+        ['use', 'xlink:href', 'sprite.svg#icon', 'image'],
+        ['object', 'data', 'movie.swf', 'object'],
+        ['object', 'codebase', '/plugins/', 'object'],
+        ['form', 'action', '/submit', 'form'],
+        ['button', 'formaction', '/other', 'form'],
+      ]);
+      assert.deepStrictEqual(resources[1].descriptor, '2x');
+      assert.deepStrictEqual(resources[1].location, { type: 'srcset', attribute: 'srcset', start: 11, end: 20 });
+    });
+
+    test('should classify links by rel and as', () => {
+      const nodes = fragmentToJson([
+        '<link rel="manifest" href="/app.webmanifest">',
+        '<link rel="preload" as="font" href="/f.woff2" imagesrcset="x.png 1x">',
+        '<link rel="modulepreload" href="/m.js">',
+        '<link rel="apple-touch-icon" href="/touch.png">',
+        '<link rel="canonical" href="https://example.com/">',
+      ].join(''), { context: 'head' });
+      assert.deepStrictEqual(extractAllResources(nodes).map(({ attribute, kind }) => [attribute, kind]), [
+        ['href', 'manifest'],
+        ['href', 'font'],
+        ['imagesrcset', 'image'],
+        ['href', 'script'],
+        ['href', 'image'],
+        ['href', 'navigation'],
+      ]);
+    });
+
+    test('should discover urls in style blocks and style attributes', () => {
+      const css = '@import "base.css"; @font-face { src: url(f.woff2) } body { background: url(\'bg.png\') }';
+      const nodes = fragmentToJson(`<style>${css}</style><div style="background-image: url(d.png)"></div>`);
+      const resources = extractAllResources(nodes);
+      assert.deepStrictEqual(resources.map(({ name, attribute, value, kind }) => [name, attribute, value, kind]), [
+        ['style', null, 'base.css', 'style'],
+        ['style', null, 'f.woff2', 'font'],
+        ['style', null, 'bg.png', 'image'],
+        ['div', 'style', 'd.png', 'image'],
+      ]);
+      const { location } = resources[2];
+      assert.deepStrictEqual(location, { type: 'css', attribute: null, child: 0, start: 77, end: 83 });
+      assert.strictEqual(css.slice(location.start, location.end), 'bg.png');
+    });
+
+    test('should discover meta refresh urls', () => {
+      const nodes = fragmentToJson([
+        '<meta http-equiv="refresh" content="0; url=\'/next\'">',
+        '<meta http-equiv="Refresh" content="5;URL=https://example.com/">',
+        '<meta http-equiv="refresh" content="30">',
+      ].join(''), { context: 'head' });
+      const resources = extractAllResources(nodes);
+      assert.deepStrictEqual(resources.map(({ value, kind, location }) => [value, kind, location.start]), [
+        ['/next', 'navigation', 8],
+        ['https://example.com/', 'navigation', 6],
+      ]);
+
+      rewriteResources(nodes, ({ value }) => `${value}?from=refresh`);
+      assert.strictEqual(nodes[0].attribs.content, '0; url=\'/next?from=refresh\'');
+    });
+
     test('should return empty array for document without resources', () => {
       const ast = {
         name: 'html',
@@ -303,6 +722,120 @@ describe('HTML Parser Utils', () => {
     });
   });
 
+  describe('rewriteResources', () => {
+    test('should rewrite resource attributes in place and report changes', () => {
+      const ast = JSON.parse(JSON.stringify(sampleJsonAst));
+      const changes = rewriteResources(ast, ({ value }) => (
+        value.startsWith('/') ? `https://cdn.example.com${value}` : undefined
+      ));
+
+      assert.deepStrictEqual(changes.map(({ name, attribute, value, newValue }) => ({ name, attribute, value, newValue })), [
+        { name: 'link', attribute: 'href', value: '/styles.css', newValue: 'https://cdn.example.com/styles.css' },
+        { name: 'img', attribute: 'src', value: '/image.jpg', newValue: 'https://cdn.example.com/image.jpg' },
+        { name: 'a', attribute: 'href', value: '/page.html', newValue: 'https://cdn.example.com/page.html' },
+        { name: 'script', attribute: 'src', value: '/app.js', newValue: 'https://cdn.example.com/app.js' },
+      ]);
+      assert.deepStrictEqual(
+        extractAllResources(ast).map((resource) => resource.value),
+        changes.map((change) => change.newValue),
+      );
+    });
+
+    test('should leave values alone when the callback returns undefined or the same value', () => {
+      const ast = JSON.parse(JSON.stringify(sampleJsonAst));
+      const changes = rewriteResources(ast, ({ value }) => (value === '/app.js' ? value : undefined));
+      assert.deepStrictEqual(changes, []);
+      assert.deepStrictEqual(ast, sampleJsonAst);
+    });
+
+    test('should rewrite srcset candidates and inline style urls', () => {
+      const nodes = fragmentToJson([
+        '<img src="a.png" srcset="a.png 1x, a@2x.png 2x">',
+        '<div style="background: url(\'bg.png\') no-repeat, url(data:image/gif;base64,R0)"></div>',
+      ].join(''));
+      const changes = rewriteResources(nodes, ({ value }) => (
+        value.startsWith('data:') ? undefined : `${value}?v=1`
+      ));
+
+      assert.deepStrictEqual(nodes[0].attribs, {
+        src: 'a.png?v=1',
+        srcset: 'a.png?v=1 1x, a@2x.png?v=1 2x',
+      });
+      assert.strictEqual(
+        nodes[1].attribs.style,
+        'background: url(\'bg.png?v=1\') no-repeat, url(data:image/gif;base64,R0)',
+      );
+      assert.deepStrictEqual(
+        changes.map(({ attribute, value, descriptor }) => [attribute, value, descriptor]),
+        [
+          ['src', 'a.png', undefined],
+          ['srcset', 'a.png', '1x'],
+          ['srcset', 'a@2x.png', '2x'],
+          ['style', 'bg.png', undefined],
+        ],
+      );
+    });
+
+    test('should pass the element to the callback', () => {
+      const nodes = fragmentToJson('<a href="/a">a</a><img src="/a">');
+      rewriteResources(nodes, (resource, node) => (node.name === 'img' ? '/b' : undefined));
+      assert.strictEqual(nodes[0].attribs.href, '/a');
+      assert.strictEqual(nodes[1].attribs.src, '/b');
+    });
+  });
+
+  describe('resolveResources', () => {
+    const pageUrl = 'https://example.com/docs/page.html';
+
+    test('should resolve against the document URL without <base>', () => {
+      const resources = resolveResources(sampleJsonAst, pageUrl);
+      assert.deepStrictEqual(resources.map(({ value, url }) => [value, url]), [
+        ['/styles.css', 'https://example.com/styles.css'],
+        ['/image.jpg', 'https://example.com/image.jpg'],
+        ['/page.html', 'https://example.com/page.html'],
+        ['/app.js', 'https://example.com/app.js'],
+      ]);
+    });
+
+    test('should honor only the first <base href>, resolved against the document URL', () => {
+      const ast = htmlToJson([
+        '<html><head><base target="_top"><base href="../assets/"><base href="/ignored/"></head>',
+        '<body><img src="a.png" srcset="b.png 2x, //cdn.example.net/c.png 3x"><a href="#top">top</a></body></html>',
+      ].join(''));
+      const resources = resolveResources(ast, pageUrl);
+      assert.deepStrictEqual(resources.map(({ value, url }) => [value, url]), [
+        ['../assets/', 'https://example.com/assets/'],
+        ['/ignored/', 'https://example.com/ignored/'],
+        ['a.png', 'https://example.com/assets/a.png'],
+        ['b.png', 'https://example.com/assets/b.png'],
+        ['//cdn.example.net/c.png', 'https://cdn.example.net/c.png'],
+        ['#top', 'https://example.com/assets/#top'],
+      ]);
+    });
+
+    test('should report null for URLs that cannot be resolved', () => {
+      const nodes = fragmentToJson('<img src="a.png"><a href="mailto:a@example.com">mail</a>');
+      assert.deepStrictEqual(resolveResources(nodes).map(({ url }) => url), [null, 'mailto:a@example.com']);
+    });
+
+    test('should rewrite to absolute URLs and drop <base>', () => {
+      const ast = htmlToJson([
+        '<html><head><base href="/assets/"><base href="/x/" target="_blank">',
+        '<style>body { background: url(bg.png) }</style></head>',
+        '<body><img src="a.png"></body></html>',
+      ].join(''));
+      resolveResources(ast, pageUrl, { rewrite: true });
+      assert.strictEqual(
+        jsonToHtml(ast),
+        [
+          '<html><head><base target="_blank">',
+          '<style>body { background: url(https://example.com/assets/bg.png) }</style></head>',
+          '<body><img src="https://example.com/assets/a.png"></body></html>',
+        ].join(''),
+      );
+    });
+  });
+
   describe('setTitle', () => {
     test('should update existing title', () => {
       const ast = JSON.parse(JSON.stringify(sampleJsonAst));
@@ -468,6 +1001,284 @@ describe('HTML Parser Utils', () => {
       assert.strictEqual(ast.children[0].name, 'head');
       assert.strictEqual(ast.children[0].children[0].name, 'link');
     });
+
+    test('should not duplicate a link with the same rel and href', () => {
+      const ast = createHtmlDocument();
+      insertLink(ast, '/a.css');
+      insertLink(ast, '/a.css', 'stylesheet', { media: 'print' });
+      insertLink(ast, '/a.css', 'preload', { as: 'style' });
+
+      const links = ast.children[0].children.filter((node) => node.name === 'link');
+      assert.deepStrictEqual(links.map((node) => node.attribs), [
+        { rel: 'stylesheet', href: '/a.css', media: 'print' },
+        { rel: 'preload', href: '/a.css', as: 'style' },
+      ]);
+    });
+  });
+
+  describe('addResourceHints', () => {
+    const hintLinks = (ast) => querySelector(ast, 'head').children
+      .filter((node) => /preconnect|dns-prefetch|preload/.test(node.attribs?.rel ?? ''))
+      .map((node) => node.attribs);
+
+    const page = [
+      '<html><head>',
+      '<link rel="stylesheet" href="https://cdn.example.net/app.css">',
+      '<style>@font-face { src: url(/f/a.woff2) format("woff2"), url(/f/a.woff) format("woff"); }</style>',
+      '<script type="module" src="/app.mjs"></script>',
+      '<script src="https://static.example.org/lib.js"></script>',
+      '</head><body>',
+      '<a href="https://elsewhere.com/">x</a>',
+      '<img src="/hero.jpg" srcset="/hero-2x.jpg 2x" fetchpriority="high">',
+      '<img src="https://img.example.net/a.png">',
+      '</body></html>',
+    ].join('');
+
+    test('should add preconnect, font, image and module hints', () => {
+      const ast = htmlToJson(page);
+      const added = addResourceHints(ast, { documentUrl: 'https://example.com/' });
+
+      assert.deepStrictEqual(added, [
+        { rel: 'preconnect', href: 'https://cdn.example.net' },
+        { rel: 'dns-prefetch', href: 'https://cdn.example.net' },
+        { rel: 'preconnect', href: 'https://static.example.org' },
+        { rel: 'dns-prefetch', href: 'https://static.example.org' },
+        { rel: 'preconnect', href: 'https://img.example.net' },
+        { rel: 'dns-prefetch', href: 'https://img.example.net' },
+        { rel: 'preload', href: '/f/a.woff2', as: 'font', type: 'font/woff2', crossorigin: 'anonymous' },
+        { rel: 'preload', href: '/hero.jpg', as: 'image', imagesrcset: '/hero-2x.jpg 2x', fetchpriority: 'high' },
+        { rel: 'modulepreload', href: '/app.mjs' },
+      ]);
+      assert.deepStrictEqual(hintLinks(ast), added);
+    });
+
+    test('should insert hints ahead of the stylesheets and scripts', () => {
+      const ast = htmlToJson([
+        '<html><head><meta charset="utf-8"><title>T</title>',
+        '<link rel="preconnect" href="https://fonts.example.org">',
+        '<link rel="stylesheet" href="https://cdn.example.net/app.css">',
+        '<script type="module" src="/app.mjs"></script>',
+        '</head></html>',
+      ].join(''));
+      addResourceHints(ast, { documentUrl: 'https://example.com/' });
+      assert.deepStrictEqual(querySelector(ast, 'head').children.map((node) => node.attribs.rel ?? node.name), [
+        'meta',
+        'title',
+        'preconnect',
+        'preconnect',
+        'dns-prefetch',
+        'modulepreload',
+        'stylesheet',
+        'script',
+      ]);
+    });
+
+    test('should skip resources that already have hints', () => {
+      const ast = htmlToJson(page);
+      addResourceHints(ast, { documentUrl: 'https://example.com/' });
+      assert.deepStrictEqual(addResourceHints(ast, { documentUrl: 'https://example.com/' }), []);
+
+      const hinted = htmlToJson(page.replace('<head>', '<head><link rel="dns-prefetch" href="//cdn.example.net"><link rel="preload" href="https://example.com/hero.jpg" as="image">'));
+      const added = addResourceHints(hinted, { documentUrl: 'https://example.com/', fonts: false, modulepreload: false });
+      assert.deepStrictEqual(added.map(({ href }) => href), [
+        'https://static.example.org',
+        'https://static.example.org',
+        'https://img.example.net',
+        'https://img.example.net',
+      ]);
+    });
+
+    test('should use crossorigin preconnects for CORS resources', () => {
+      const ast = htmlToJson('<html><head><script type="module" src="https://esm.sh/x" crossorigin="use-credentials"></script></head></html>');
+      assert.deepStrictEqual(addResourceHints(ast), [
+        { rel: 'preconnect', href: 'https://esm.sh', crossorigin: 'anonymous' },
+        { rel: 'dns-prefetch', href: 'https://esm.sh' },
+        { rel: 'modulepreload', href: 'https://esm.sh/x', crossorigin: 'use-credentials' },
+      ]);
+    });
+
+    test('should stop at the budget', () => {
+      const ast = htmlToJson(page);
+      const added = addResourceHints(ast, { documentUrl: 'https://example.com/', preconnect: false, max: 2 });
+      assert.deepStrictEqual(added.map(({ href }) => href), ['/f/a.woff2', '/hero.jpg']);
+
+      // a preconnect and its dns-prefetch fallback count as one hint
+      const pairs = addResourceHints(htmlToJson(page), { documentUrl: 'https://example.com/', max: 1 });
+      assert.deepStrictEqual(pairs.map(({ rel }) => rel), ['preconnect', 'dns-prefetch']);
+    });
+  });
+
+  describe('inlineCss', () => {
+    test('should merge rules by specificity and source order', () => {
+      const ast = createHtmlDocument('Mail');
+      insertInlineStyle(ast, 'p { color: red; margin: 0 } .note { color: blue } p { margin-top: 4px } #a { color: green }');
+      ast.children[1].children = fragmentToJson('<p class="note" id="a">a</p><p class="note">b</p><p style="color: black">c</p>');
+
+      const result = inlineCss(ast);
+      assert.deepStrictEqual(result, { styled: 3, remaining: [] });
+      assert.strictEqual(querySelector(ast, 'style'), null);
+      assert.strictEqual(jsonToHtml(ast.children[1]), [
+        '<body>',
+        '<p class="note" id="a" style="margin: 0; margin-top: 4px; color: green">a</p>',
+        '<p class="note" style="margin: 0; margin-top: 4px; color: blue">b</p>',
+        '<p style="margin: 0; margin-top: 4px; color: black">c</p>',
+        '</body>',
+      ].join(''));
+    });
+
+    test('should let !important win over inline styles', () => {
+      const ast = htmlToJson('<html><head><style>p { color: red !important; font-size: 12px }</style></head><body><p style="color: blue; font-size: 20px">x</p></body></html>');
+      inlineCss(ast);
+      assert.strictEqual(querySelector(ast, 'p').attribs.style, 'font-size: 20px; color: red !important');
+    });
+
+    test('should keep media queries and pseudo selectors in the style block', () => {
+      const ast = htmlToJson([
+        '<html><head><style>',
+        'a, a:hover { color: red }\n',
+        'p::first-line { font-weight: bold }\n',
+        '@media (max-width: 600px) { p { font-size: 20px } }',
+        '</style><style media="print">p { color: black }</style></head>',
+        '<body><p><a href="#">x</a></p></body></html>',
+      ].join(''));
+      const { remaining } = inlineCss(ast);
+
+      assert.deepStrictEqual(remaining, ['a:hover', 'p::first-line', '@media (max-width: 600px)']);
+      assert.deepStrictEqual(querySelectorAll(ast, 'style').map((node) => node.children[0]), [
+        'a:hover { color: red }\np::first-line { font-weight: bold }\n@media (max-width: 600px) { p { font-size: 20px } }',
+        'p { color: black }',
+      ]);
+      assert.strictEqual(querySelector(ast, 'a').attribs.style, 'color: red');
+      assert.strictEqual(querySelector(ast, 'p').attribs.style, undefined);
+    });
+
+    test('should not style head elements and can keep inlined rules', () => {
+      const ast = htmlToJson('<html><head><title>T</title><style>* { margin: 0 }</style></head><body><p>x</p></body></html>');
+      inlineCss(ast, { keepInlinedRules: true });
+      assert.deepStrictEqual(querySelectorAll(ast, '[style]').map((node) => node.name), ['html', 'body', 'p']);
+      assert.strictEqual(querySelector(ast, 'style').children[0], '* { margin: 0 }');
+    });
+  });
+
+  describe('head management', () => {
+    const headHtml = (ast) => jsonToHtml(querySelector(ast, 'head'));
+
+    test('should keep charset, viewport and title first regardless of call order', () => {
+      const ast = { name: 'html', attribs: {}, children: [{ name: 'body', attribs: {}, children: [] }] };
+      insertLink(ast, '/a.css');
+      setTitle(ast, 'T');
+      setViewport(ast);
+      setMeta(ast, { name: 'description', content: 'd' });
+      setCharset(ast);
+
+      assert.deepStrictEqual(querySelector(ast, 'head').children.map((node) => node.attribs.charset ?? node.attribs.name ?? node.name), [
+        'utf-8',
+        'viewport',
+        'title',
+        'link',
+        'description',
+      ]);
+    });
+
+    test('should upsert metas by name, property and http-equiv', () => {
+      const ast = htmlToJson('<html><head><meta name="Description" content="a"><meta name="description" content="b"></head></html>');
+      const node = setMeta(ast, { name: 'description', content: 'c' });
+      setMeta(ast, { property: 'og:type', content: 'website' });
+      setMeta(ast, { 'http-equiv': 'X-UA-Compatible', content: 'IE=edge' });
+      setMeta(ast, { property: 'og:type', content: 'article' });
+
+      assert.strictEqual(node.attribs.content, 'c');
+      assert.strictEqual(headHtml(ast), [
+        '<head><meta name="description" content="c">',
+        '<meta property="og:type" content="article">',
+        '<meta http-equiv="X-UA-Compatible" content="IE=edge"></head>',
+      ].join(''));
+      assert.throws(() => setMeta(ast, { content: 'x' }), TypeError);
+      assert.throws(() => setMeta(ast, { name: 'a', property: 'b', content: 'x' }), /exactly one of/);
+    });
+
+    test('should keep one meta per media', () => {
+      const ast = createHtmlDocument();
+      setMeta(ast, { name: 'theme-color', content: '#fff', media: '(prefers-color-scheme: light)' });
+      setMeta(ast, { name: 'theme-color', content: '#000', media: '(prefers-color-scheme: dark)' });
+      setMeta(ast, { name: 'theme-color', content: '#eee', media: '(prefers-color-scheme: light)' });
+      assert.deepStrictEqual(
+        querySelector(ast, 'head').children.filter((node) => node.attribs?.name === 'theme-color').map((node) => node.attribs.content),
+        ['#eee', '#000'],
+      );
+
+      assert.strictEqual(removeMeta(ast, { name: 'theme-color' }).length, 2);
+      assert.strictEqual(querySelector(ast, 'meta[name=theme-color]'), null);
+    });
+
+    test('should set a single canonical link', () => {
+      const ast = htmlToJson('<html><head><link rel="canonical" href="/a"><link rel="canonical" href="/b"></head></html>');
+      setCanonical(ast, 'https://example.com/');
+      assert.strictEqual(headHtml(ast), '<head><link rel="canonical" href="https://example.com/"></head>');
+    });
+
+    test('should write Open Graph and Twitter card metas', () => {
+      const ast = htmlToJson('<html><head><meta property="og:image" content="old.png"><meta property="og:image:width" content="1"></head></html>');
+      setOpenGraph(ast, {
+        title: 'T',
+        siteName: 'S',
+        image: [{ url: 'a.png', width: 1200, secureUrl: 'https://a.png' }, 'b.png'],
+      });
+      setTwitterCard(ast, { card: 'summary_large_image', imageAlt: 'alt' });
+      setOpenGraph(ast, { title: 'T2', description: null });
+
+      assert.strictEqual(headHtml(ast), [
+        '<head>',
+        '<meta property="og:title" content="T2">',
+        '<meta property="og:site_name" content="S">',
+        '<meta property="og:image" content="a.png">',
+        '<meta property="og:image:width" content="1200">',
+        '<meta property="og:image:secure_url" content="https://a.png">',
+        '<meta property="og:image" content="b.png">',
+        '<meta name="twitter:card" content="summary_large_image">',
+        '<meta name="twitter:image:alt" content="alt">',
+        '</head>',
+      ].join(''));
+    });
+
+    test('should drop structured sub-entries when a plain value replaces them', () => {
+      const ast = htmlToJson('<html><head></head></html>');
+      setOpenGraph(ast, { image: { url: 'a.png', width: 1200, height: 630, alt: 'A' } });
+      setOpenGraph(ast, { image: 'b.png' });
+      setTwitterCard(ast, { image: { url: 'a.png', alt: 'A' } });
+      setTwitterCard(ast, { imageAlt: 'B', image: 'b.png' });
+
+      assert.strictEqual(headHtml(ast), [
+        '<head>',
+        '<meta property="og:image" content="b.png">',
+        '<meta name="twitter:image" content="b.png">',
+        '<meta name="twitter:image:alt" content="B">',
+        '</head>',
+      ].join(''));
+    });
+
+    test('should replace favicons', () => {
+      const ast = htmlToJson('<html><head><link rel="shortcut icon" href="/old.ico"><link rel="stylesheet" href="/a.css"></head></html>');
+      setFavicons(ast, [
+        '/favicon.ico',
+        { href: '/icon.svg', type: 'image/svg+xml' },
+        { rel: 'apple-touch-icon', href: '/apple.png', sizes: '180x180' },
+      ]);
+      assert.strictEqual(headHtml(ast), [
+        '<head><link rel="stylesheet" href="/a.css">',
+        '<link rel="icon" href="/favicon.ico">',
+        '<link rel="icon" href="/icon.svg" type="image/svg+xml">',
+        '<link rel="apple-touch-icon" href="/apple.png" sizes="180x180"></head>',
+      ].join(''));
+    });
+
+    test('should set and remove the document language', () => {
+      const ast = htmlToJson('<html xml:lang="en"><body></body></html>');
+      setLang(ast, 'zh-CN');
+      assert.deepStrictEqual(ast.attribs, { 'xml:lang': 'zh-CN', lang: 'zh-CN' });
+      setLang(ast, null);
+      assert.deepStrictEqual(ast.attribs, {});
+    });
   });
 
   describe('insertInlineScript', () => {
@@ -526,6 +1337,138 @@ describe('HTML Parser Utils', () => {
     });
   });
 
+  describe('tree mutation', () => {
+    test('should append and prepend to matching elements', () => {
+      const ast = htmlToJson('<html><body><ul><li>a</li></ul><ul></ul></body></html>');
+
+      const banner = h('div', { class: 'banner' }, 'Notice');
+      assert.deepStrictEqual(prepend(ast, 'body', banner), [querySelector(ast, 'body')]);
+      const lists = append(ast, 'ul', h('li', null, 'z'));
+
+      assert.strictEqual(lists.length, 2);
+      assert.strictEqual(querySelector(ast, 'body').children[0], banner);
+      assert.strictEqual(
+        jsonToHtml(ast),
+        '<html><body><div class="banner">Notice</div><ul><li>a</li><li>z</li></ul><ul><li>z</li></ul></body></html>',
+      );
+    });
+
+    test('should copy content for every target after the first', () => {
+      const nodes = fragmentToJson('<p></p><p></p>');
+      const content = h('b', null, 'x');
+
+      append(nodes, 'p', [content, 'y']);
+
+      assert.strictEqual(nodes[0].children[0], content);
+      assert.notStrictEqual(nodes[1].children[0], content);
+      assert.deepStrictEqual(nodes[1].children, nodes[0].children);
+    });
+
+    test('should insert before and after nodes at the top level of fragments', () => {
+      const nodes = fragmentToJson('<p>a</p>text<p>b</p>');
+
+      const targets = insertBefore(nodes, 'p', h('hr'));
+      insertAfter(nodes, (node) => node.type === 'text' && node.content === 'text', '!');
+
+      assert.deepStrictEqual(targets.map((node) => node.children[0]), ['a', 'b']);
+      assert.strictEqual(jsonToHtml(nodes), '<hr><p>a</p>text!<hr><p>b</p>');
+    });
+
+    test('should address text nodes by position rather than value', () => {
+      const ast = { name: 'p', attribs: {}, children: ['x', { name: 'br', attribs: {}, children: [] }, 'x'] };
+
+      insertAfter(ast, (node) => node.type === 'text', '.');
+
+      assert.deepStrictEqual(ast.children, ['x', '.', { name: 'br', attribs: {}, children: [] }, 'x', '.']);
+    });
+
+    test('should replace nodes and return the replaced ones', () => {
+      const nodes = fragmentToJson('<div><i>1</i><span><i>2</i></span></div>');
+
+      const replaced = replaceWith(nodes, 'i, span', [h('em', null, 'x'), 'y']);
+
+      assert.deepStrictEqual(replaced.map((node) => node.name), ['i', 'span']);
+      assert.strictEqual(jsonToHtml(nodes), '<div><em>x</em>y<em>x</em>y</div>');
+      replaceWith(nodes, 'em', null);
+      assert.strictEqual(jsonToHtml(nodes), '<div>yy</div>');
+    });
+
+    test('should wrap each target in its own copy of the wrapper', () => {
+      const ast = htmlToJson('<html><body><table></table><p>a</p><table></table></body></html>');
+      const tables = querySelectorAll(ast, 'table');
+
+      const wrappers = wrap(ast, 'table', h('div', { class: 'scroll' }));
+
+      assert.strictEqual(wrappers.length, 2);
+      assert.notStrictEqual(wrappers[0], wrappers[1]);
+      assert.deepStrictEqual(wrappers.map((node) => node.children[0]), tables);
+      assert.strictEqual(
+        jsonToHtml(ast),
+        '<html><body><div class="scroll"><table></table></div><p>a</p><div class="scroll"><table></table></div></body></html>',
+      );
+    });
+
+    test('should unwrap nested matches', () => {
+      const nodes = fragmentToJson('<span>a<span>b</span></span><p><span>c</span></p>');
+
+      const removed = unwrap(nodes, 'span');
+
+      assert.strictEqual(removed.length, 3);
+      assert.strictEqual(jsonToHtml(nodes), 'ab<p>c</p>');
+    });
+
+    test('should move nodes in document order', () => {
+      const positions = {
+        append: '<u>0<i>1</i><i>3</i></u>',
+        prepend: '<u><i>1</i><i>3</i>0</u>',
+        before: '<i>1</i><i>3</i><u>0</u>',
+        after: '<u>0</u><i>1</i><i>3</i>',
+      };
+      Object.entries(positions).forEach(([position, expected]) => {
+        const nodes = fragmentToJson('<i>1</i><u>0</u><i>3</i>');
+        const moved = move(nodes, 'i', 'u', position);
+        assert.strictEqual(moved.length, 2);
+        assert.strictEqual(jsonToHtml(nodes), expected, position);
+      });
+    });
+
+    test('should move matches together with their matching descendants', () => {
+      const nodes = fragmentToJson('<div class="a"><div class="a">x</div></div><main></main>');
+
+      const moved = move(nodes, '.a', 'main');
+
+      assert.strictEqual(moved.length, 1);
+      assert.strictEqual(jsonToHtml(nodes), '<main><div class="a"><div class="a">x</div></div></main>');
+      assert.deepStrictEqual(move(nodes, '.a', 'footer'), []);
+    });
+
+    test('should work on drafts', () => {
+      const base = fragmentToJson('<div><p>a</p></div><div id="b"></div>');
+
+      const next = produce(base, (draft) => {
+        wrap(draft, 'p', h('section'));
+        move(draft, 'section', '#b');
+      });
+
+      assert.strictEqual(jsonToHtml(base), '<div><p>a</p></div><div id="b"></div>');
+      assert.strictEqual(jsonToHtml(next), '<div></div><div id="b"><section><p>a</p></section></div>');
+    });
+
+    test('should reject invalid operations', () => {
+      const ast = htmlToJson('<html><body><div><p></p></div><img></body></html>');
+
+      assert.throws(() => replaceWith(ast, 'html', 'x'), { message: 'Cannot replace the root node' });
+      assert.throws(() => insertBefore(ast, 'html', 'x'), { message: 'Cannot insert before the root node' });
+      assert.throws(() => append(ast, 'img', 'x'), { message: 'Void element <img> cannot have children' });
+      assert.throws(() => move(ast, 'div', 'p'), { message: 'Cannot move a node into itself' });
+      assert.throws(() => move(ast, 'p', 'body', 'inside'), /Unknown position "inside"/);
+      assert.throws(() => wrap(ast, 'p', 'div'), TypeError);
+      assert.throws(() => append(ast, 42, 'x'), TypeError);
+      assert.throws(() => append(ast, 'p:', 'x'), SyntaxError);
+      assert.strictEqual(jsonToHtml(ast), '<html><body><div><p></p></div><img></body></html>');
+    });
+  });
+
   describe('createHtmlDocument', () => {
     test('should create basic HTML document structure', () => {
       const doc = createHtmlDocument('Test Title');
@@ -576,5 +1519,28 @@ describe('HTML Parser Utils', () => {
       assert.deepStrictEqual(parsedAst.attribs, originalAst.attribs);
       assert.strictEqual(parsedAst.children.length, originalAst.children.length);
     });
+
+    test('should give back the same tree for text and attributes that need escaping', () => {
+      const originalAst = createHtmlDocument('Tom & Jerry <3');
+      originalAst.children[0].children.push({
+        name: 'script',
+        attribs: {},
+        children: ['if (a < b && c > d) { run("&amp;"); }'],
+      });
+      originalAst.children[1].children.push(
+        {
+          name: 'a',
+          attribs: { href: '/search?q=a&b=c', title: 'He said "<hello>"' },
+          children: ['1 < 2 & 3 > 2\u00a0&amp;'],
+        },
+        {
+          name: 'textarea',
+          attribs: {},
+          children: ['<b>raw</b> &lt;'],
+        },
+      );
+      const parsedAst = htmlToJson(jsonToHtml(originalAst));
+      assert.deepStrictEqual(parsedAst, originalAst);
+    });
   });
 });
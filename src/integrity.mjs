@@ -0,0 +1,51 @@
+import { createHash } from 'node:crypto';
+
+// ordered from weakest to strongest; browsers only check the strongest listed
+const INTEGRITY_ALGORITHMS = ['sha256', 'sha384', 'sha512'];
+
+const toBytes = (content) => {
+  if (content instanceof ArrayBuffer) {
+    return new Uint8Array(content);
+  }
+  return content;
+};
+
+const computeIntegrity = (content, algorithm = 'sha384') => {
+  if (!INTEGRITY_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown integrity algorithm "${algorithm}", expected one of ${INTEGRITY_ALGORITHMS.join(', ')}`);
+  }
+  return `${algorithm}-${createHash(algorithm).update(toBytes(content)).digest('base64')}`;
+};
+
+/**
+ * Parses an `integrity` attribute into `{ algorithm, digest }` entries,
+ * dropping unknown algorithms and `?options` like browsers do.
+ */
+const parseIntegrity = (value) => String(value ?? '')
+  .trim()
+  .split(/\s+/)
+  .map((token) => token.match(/^(sha256|sha384|sha512)-([A-Za-z\d+/_-]+={0,2})(?:\?.*)?$/))
+  .filter(Boolean)
+  .map(([, algorithm, digest]) => ({ algorithm, digest }));
+
+/**
+ * Whether the content satisfies the metadata, or null when it lists no known algorithm.
+ */
+const matchesIntegrity = (value, content) => {
+  const entries = parseIntegrity(value);
+  if (!entries.length) {
+    return null;
+  }
+  const strongest = Math.max(...entries.map(({ algorithm }) => INTEGRITY_ALGORITHMS.indexOf(algorithm)));
+  const algorithm = INTEGRITY_ALGORITHMS[strongest];
+  const actual = computeIntegrity(content, algorithm);
+  return entries
+    .filter((entry) => entry.algorithm === algorithm)
+    .some(({ digest }) => `${algorithm}-${digest}` === actual);
+};
+
+export {
+  computeIntegrity,
+  matchesIntegrity,
+  parseIntegrity,
+};
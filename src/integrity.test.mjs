@@ -0,0 +1,97 @@
+import assert from 'node:assert';
+import { createHash } from 'node:crypto';
+import { describe, test } from 'node:test';
+
+import { addIntegrity, htmlToJson, querySelectorAll } from './index.mjs';
+import { computeIntegrity, matchesIntegrity, parseIntegrity } from './integrity.mjs';
+
+const digest = (algorithm, text) => `${algorithm}-${createHash(algorithm).update(text).digest('base64')}`;
+
+describe('integrity metadata', () => {
+  test('should compute digests of strings and bytes', () => {
+    assert.strictEqual(computeIntegrity('a'), digest('sha384', 'a'));
+    assert.strictEqual(computeIntegrity(new TextEncoder().encode('a').buffer, 'sha256'), digest('sha256', 'a'));
+    assert.throws(() => computeIntegrity('a', 'md5'), /Unknown integrity algorithm "md5"/);
+  });
+
+  test('should only check the strongest listed algorithm', () => {
+    assert.deepStrictEqual(parseIntegrity(' md5-x sha256-abc=?opt '), [{ algorithm: 'sha256', digest: 'abc=' }]);
+    assert.strictEqual(matchesIntegrity(`sha256-wrong ${digest('sha384', 'a')}`, 'a'), true);
+    assert.strictEqual(matchesIntegrity(`${digest('sha256', 'a')} sha384-wrong`, 'a'), false);
+    assert.strictEqual(matchesIntegrity('md5-x', 'a'), null);
+  });
+});
+
+describe('addIntegrity', () => {
+  const files = {
+    'https://example.com/app.js': 'app()',
+    'https://example.com/app.css': 'body{}',
+    'https://cdn.com/lib.js': 'lib()',
+    'https://example.com/font.woff2': 'font',
+  };
+
+  const loader = async ({ url }) => files[url] ?? null;
+
+  test('should add integrity and crossorigin to scripts and stylesheets', async () => {
+    const root = htmlToJson([
+      '<html><head>',
+      '<link rel="stylesheet" href="/app.css">',
+      '<link rel="preload" as="font" href="font.woff2">',
+      '<link rel="icon" href="/favicon.ico">',
+      '<script src="https://cdn.com/lib.js"></script>',
+      '<script src="/app.js" crossorigin="use-credentials"></script>',
+      '<script src="/missing.js"></script>',
+      '</head></html>',
+    ].join(''));
+    const report = await addIntegrity(root, loader, { documentUrl: 'https://example.com/index.html' });
+
+    assert.deepStrictEqual(report.map(({ value, status }) => [value, status]), [
+      ['/app.css', 'added'],
+      ['font.woff2', 'added'],
+      ['https://cdn.com/lib.js', 'added'],
+      ['/app.js', 'added'],
+      ['/missing.js', 'skipped'],
+    ]);
+    assert.deepStrictEqual(querySelectorAll(root, 'link, script').map(({ attribs }) => [attribs.integrity, attribs.crossorigin]), [
+      [digest('sha384', 'body{}'), undefined],
+      [digest('sha384', 'font'), undefined],
+      [undefined, undefined],
+      [digest('sha384', 'lib()'), 'anonymous'],
+      [digest('sha384', 'app()'), 'use-credentials'],
+      [undefined, undefined],
+    ]);
+  });
+
+  test('should verify existing integrity and report mismatches', async () => {
+    const root = htmlToJson([
+      '<html><head>',
+      `<script src="https://cdn.com/lib.js" integrity="${digest('sha256', 'lib()')}" crossorigin="anonymous"></script>`,
+      `<script src="https://example.com/app.js" integrity="${digest('sha384', 'old()')}"></script>`,
+      '</head></html>',
+    ].join(''));
+    const report = await addIntegrity(root, loader);
+
+    assert.deepStrictEqual(report.map(({ status, integrity, actual }) => ({ status, integrity, actual })), [
+      { status: 'verified', integrity: digest('sha256', 'lib()'), actual: undefined },
+      { status: 'mismatch', integrity: digest('sha384', 'old()'), actual: digest('sha384', 'app()') },
+    ]);
+    const [, app] = querySelectorAll(root, 'script');
+    assert.strictEqual(app.attribs.integrity, digest('sha384', 'old()'));
+  });
+
+  test('should treat absolute URLs as cross-origin without a document URL', async () => {
+    const root = htmlToJson('<html><head><script src="//cdn.com/lib.js"></script><script src="local.js"></script></head></html>');
+    await addIntegrity(root, async () => 'x', { algorithm: 'sha512' });
+    assert.deepStrictEqual(querySelectorAll(root, 'script').map(({ attribs }) => attribs), [
+      { src: '//cdn.com/lib.js', integrity: digest('sha512', 'x'), crossorigin: 'anonymous' },
+      { src: 'local.js', integrity: digest('sha512', 'x') },
+    ]);
+  });
+
+  test('should pass loader errors through', async () => {
+    const root = htmlToJson('<html><head><script src="a.js"></script></head></html>');
+    await assert.rejects(addIntegrity(root, async () => {
+      throw new Error('ENOENT');
+    }), /ENOENT/);
+  });
+});
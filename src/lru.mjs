@@ -0,0 +1,27 @@
+/**
+ * Cache keeping the `limit` most recently used values. The returned function
+ * gives the cached value for `key`, calling `create(key)` on a miss; nothing
+ * is stored when `create` throws.
+ */
+const createLruCache = (limit) => {
+  const entries = new Map();
+  return (key, create) => {
+    if (entries.has(key)) {
+      const value = entries.get(key);
+      // a Map iterates in insertion order, so re-inserting marks the entry as most recent
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    }
+    const value = create(key);
+    entries.set(key, value);
+    if (entries.size > limit) {
+      entries.delete(entries.keys().next().value);
+    }
+    return value;
+  };
+};
+
+export {
+  createLruCache,
+};
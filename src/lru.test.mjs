@@ -0,0 +1,40 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+
+import { createLruCache } from './lru.mjs';
+
+describe('createLruCache', () => {
+  test('should create values once and evict the least recently used', () => {
+    const created = [];
+    const cached = createLruCache(2);
+    const create = (key) => {
+      created.push(key);
+      return { key };
+    };
+
+    const a = cached('a', create);
+    assert.strictEqual(cached('a', create), a);
+    cached('b', create);
+    cached('a', create);
+    cached('c', create);
+    cached('a', create);
+    cached('b', create);
+
+    assert.deepStrictEqual(created, ['a', 'b', 'c', 'b']);
+  });
+
+  test('should keep null values and store nothing when create throws', () => {
+    const cached = createLruCache(1);
+    let calls = 0;
+    assert.strictEqual(cached('x', () => {
+      calls++;
+      return null;
+    }), null);
+    assert.strictEqual(cached('x', () => 1), null);
+    assert.throws(() => cached('y', () => {
+      throw new SyntaxError('bad');
+    }), SyntaxError);
+    assert.strictEqual(cached('x', () => 1), null);
+    assert.strictEqual(calls, 1);
+  });
+});
@@ -0,0 +1,98 @@
+const NAMESPACES = {
+  html: 'http://www.w3.org/1999/xhtml',
+  svg: 'http://www.w3.org/2000/svg',
+  mathml: 'http://www.w3.org/1998/Math/MathML',
+  xlink: 'http://www.w3.org/1999/xlink',
+};
+
+const SVG_TAG_NAMES = [
+  'altGlyph', 'altGlyphDef', 'altGlyphItem', 'animateColor', 'animateMotion', 'animateTransform',
+  'clipPath', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite', 'feConvolveMatrix',
+  'feDiffuseLighting', 'feDisplacementMap', 'feDistantLight', 'feDropShadow', 'feFlood', 'feFuncA',
+  'feFuncB', 'feFuncG', 'feFuncR', 'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode',
+  'feMorphology', 'feOffset', 'fePointLight', 'feSpecularLighting', 'feSpotLight', 'feTile',
+  'feTurbulence', 'foreignObject', 'glyphRef', 'linearGradient', 'radialGradient', 'textPath',
+];
+
+const SVG_ATTRIBUTE_NAMES = [
+  'attributeName', 'attributeType', 'baseFrequency', 'baseProfile', 'calcMode', 'clipPathUnits',
+  'diffuseConstant', 'edgeMode', 'filterUnits', 'glyphRef', 'gradientTransform', 'gradientUnits',
+  'kernelMatrix', 'kernelUnitLength', 'keyPoints', 'keySplines', 'keyTimes', 'lengthAdjust',
+  'limitingConeAngle', 'markerHeight', 'markerUnits', 'markerWidth', 'maskContentUnits',
+  'maskUnits', 'numOctaves', 'pathLength', 'patternContentUnits', 'patternTransform',
+  'patternUnits', 'pointsAtX', 'pointsAtY', 'pointsAtZ', 'preserveAlpha', 'preserveAspectRatio',
+  'primitiveUnits', 'refX', 'refY', 'repeatCount', 'repeatDur', 'requiredExtensions',
+  'requiredFeatures', 'specularConstant', 'specularExponent', 'spreadMethod', 'startOffset',
+  'stdDeviation', 'stitchTiles', 'surfaceScale', 'systemLanguage', 'tableValues', 'targetX',
+  'targetY', 'textLength', 'viewBox', 'viewTarget', 'xChannelSelector', 'yChannelSelector',
+  'zoomAndPan',
+];
+
+const MATHML_ATTRIBUTE_NAMES = ['definitionURL'];
+
+const toLookup = (names) => Object.fromEntries(names.map((name) => [name.toLowerCase(), name]));
+
+const SVG_TAG_LOOKUP = toLookup(SVG_TAG_NAMES);
+const SVG_ATTRIBUTE_LOOKUP = toLookup(SVG_ATTRIBUTE_NAMES);
+const MATHML_ATTRIBUTE_LOOKUP = toLookup(MATHML_ATTRIBUTE_NAMES);
+
+// elements inside foreign content whose children are parsed as HTML again
+const HTML_INTEGRATION_POINTS = {
+  svg: ['foreignObject', 'desc', 'title'],
+  mathml: ['mi', 'mo', 'mn', 'ms', 'mtext', 'annotation-xml'],
+};
+
+/**
+ * Namespace of an element given the namespace its parent's children are in.
+ */
+const getElementNamespace = (name, parentNamespace = 'html') => {
+  const lowerName = name.toLowerCase();
+  if (lowerName === 'svg') {
+    return 'svg';
+  }
+  if (lowerName === 'math') {
+    return 'mathml';
+  }
+  return parentNamespace;
+};
+
+/**
+ * Namespace the children of an element are in.
+ */
+const getChildNamespace = (name, namespace) => {
+  if (HTML_INTEGRATION_POINTS[namespace]?.includes(name)) {
+    return 'html';
+  }
+  return namespace;
+};
+
+/**
+ * Restores the case the HTML parser gives foreign elements and attributes
+ * (`viewBox`, `linearGradient`, `definitionURL`); htmlparser2 lowercases them all.
+ */
+const adjustElementName = (name, namespace) => {
+  const lowerName = name.toLowerCase();
+  if (namespace === 'svg') {
+    return SVG_TAG_LOOKUP[lowerName] ?? lowerName;
+  }
+  return lowerName;
+};
+
+const adjustAttributeName = (name, namespace) => {
+  const lowerName = name.toLowerCase();
+  if (namespace === 'svg') {
+    return SVG_ATTRIBUTE_LOOKUP[lowerName] ?? lowerName;
+  }
+  if (namespace === 'mathml') {
+    return MATHML_ATTRIBUTE_LOOKUP[lowerName] ?? lowerName;
+  }
+  return lowerName;
+};
+
+export {
+  adjustAttributeName,
+  adjustElementName,
+  getChildNamespace,
+  getElementNamespace,
+  NAMESPACES,
+};
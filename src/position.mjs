@@ -0,0 +1,144 @@
+const isTagSpace = (ch) => /[\t\n\f\r /]/.test(ch);
+
+/**
+ * Offsets each line starts at; `\r\n` and a lone `\r` count as one break.
+ */
+const getLineStarts = (source) => {
+  const starts = [0];
+  const re = /\r\n?|\n/g;
+  let match = re.exec(source);
+  while (match) {
+    starts.push(match.index + match[0].length);
+    match = re.exec(source);
+  }
+  return starts;
+};
+
+/**
+ * Returns a function mapping an offset into `source` to `{ offset, line, column }`,
+ * both line and column 1-based. `shift` is subtracted first, for sources
+ * parsed behind a prefix.
+ */
+const createLocator = (source, shift = 0) => {
+  const text = source.slice(shift);
+  const lineStarts = getLineStarts(text);
+  return (index) => {
+    const offset = Math.min(Math.max(index - shift, 0), text.length);
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return { offset, line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+};
+
+const getLocation = (source, offset) => createLocator(source)(offset);
+
+/**
+ * Scans the start tag at `start` the way the tokenizer does and returns the
+ * index after its `>` together with the range of each attribute, keyed by the
+ * lowercased name. Later duplicates are dropped like the parser drops them.
+ */
+const scanStartTag = (source, start) => {
+  const attributes = {};
+  let pos = start + 1;
+  while (pos < source.length && !isTagSpace(source[pos]) && source[pos] !== '>') {
+    pos++;
+  }
+  while (pos < source.length) {
+    while (pos < source.length && isTagSpace(source[pos])) {
+      pos++;
+    }
+    if (pos >= source.length || source[pos] === '>') {
+      break;
+    }
+    const nameStart = pos;
+    pos++;
+    while (pos < source.length && !isTagSpace(source[pos]) && !'>='.includes(source[pos])) {
+      pos++;
+    }
+    const name = source.slice(nameStart, pos).toLowerCase();
+    let end = pos;
+    while (pos < source.length && /\s/.test(source[pos])) {
+      pos++;
+    }
+    if (source[pos] === '=') {
+      pos++;
+      while (pos < source.length && /\s/.test(source[pos])) {
+        pos++;
+      }
+      const quote = source[pos];
+      if (quote === '"' || quote === '\'') {
+        const close = source.indexOf(quote, pos + 1);
+        pos = close === -1 ? source.length : close + 1;
+      } else {
+        while (pos < source.length && !/[\s>]/.test(source[pos])) {
+          pos++;
+        }
+      }
+      end = pos;
+    }
+    if (!Object.hasOwn(attributes, name)) {
+      attributes[name] = { start: nameStart, end };
+    }
+  }
+  return { end: Math.min(pos + 1, source.length), attributes };
+};
+
+/**
+ * Formats the lines around `location` with the located range underlined.
+ * `location` is an offset, a `{ offset }` point or a `{ start, end }` range
+ * such as a node's `position`.
+ */
+const codeFrame = (source, location, options = {}) => {
+  const {
+    linesAbove = 2,
+    linesBelow = 3,
+    message = '',
+  } = options;
+  const toOffset = (point) => (typeof point === 'number' ? point : point?.offset);
+  const start = toOffset(location?.start ?? location);
+  const end = Math.max(toOffset(location?.end ?? location) ?? start, start);
+  if (!Number.isInteger(start)) {
+    throw new TypeError('Expected an offset, a point or a range');
+  }
+  const locate = createLocator(source);
+  const from = locate(start);
+  const to = locate(end);
+  // a range ending right after a line break does not mark the next line
+  const toLine = to.column === 1 && to.line > from.line ? to.line - 1 : to.line;
+  const lines = source.split(/\r\n?|\n/);
+  const first = Math.max(from.line - linesAbove, 1);
+  const last = Math.min(toLine + linesBelow, lines.length);
+  const width = String(last).length;
+  const output = [];
+
+  for (let line = first; line <= last; line++) {
+    const text = lines[line - 1];
+    const marked = line >= from.line && line <= toLine;
+    const gutter = `${marked ? '>' : ' '} ${String(line).padStart(width)} |`;
+    output.push(text ? `${gutter} ${text}` : gutter);
+    if (marked) {
+      const markStart = line === from.line ? from.column - 1 : 0;
+      const markEnd = line === to.line ? to.column - 1 : text.length;
+      const padding = text.slice(0, markStart).replace(/[^\t]/g, ' ');
+      const marker = '^'.repeat(Math.max(markEnd - markStart, 1));
+      const note = message && line === from.line ? ` ${message}` : '';
+      output.push(`  ${' '.repeat(width)} | ${padding}${marker}${note}`);
+    }
+  }
+  return output.join('\n');
+};
+
+export {
+  codeFrame,
+  createLocator,
+  getLocation,
+  scanStartTag,
+};
@@ -0,0 +1,117 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+
+import {
+  fragmentToJson,
+  htmlToJson,
+  jsonToHtml,
+  querySelector,
+  traverse,
+} from './index.mjs';
+import { codeFrame, getLocation, scanStartTag } from './position.mjs';
+
+const SOURCE = [
+  '<html><head><title>Docs</title></head>',
+  '<body>',
+  '  <p class=intro>One<p>Two',
+  '  <img src="a.png"  ALT = \'x\' src="b.png">',
+  '</body></html>',
+].join('\n');
+
+const slice = (source, range) => source.slice(range.start.offset, range.end.offset);
+
+describe('getLocation', () => {
+  test('should map offsets to 1-based lines and columns', () => {
+    assert.deepStrictEqual(getLocation('ab\ncd', 0), { offset: 0, line: 1, column: 1 });
+    assert.deepStrictEqual(getLocation('ab\ncd', 4), { offset: 4, line: 2, column: 2 });
+    assert.deepStrictEqual(getLocation('a\r\nb\rc', 5), { offset: 5, line: 3, column: 1 });
+    assert.deepStrictEqual(getLocation('ab', 10), { offset: 2, line: 1, column: 3 });
+  });
+});
+
+describe('scanStartTag', () => {
+  test('should find attribute ranges and the end of the tag', () => {
+    const tag = '<input DISABLED value = "a>b" data-x=1/ value=2>';
+    const { end, attributes } = scanStartTag(`${tag}rest`, 0);
+    assert.strictEqual(end, tag.length);
+    assert.deepStrictEqual(Object.fromEntries(Object.entries(attributes)
+      .map(([name, range]) => [name, tag.slice(range.start, range.end)])), {
+      disabled: 'DISABLED',
+      value: 'value = "a>b"',
+      'data-x': 'data-x=1/',
+    });
+  });
+});
+
+describe('htmlToJson positions', () => {
+  test('should not record positions by default', () => {
+    const ast = htmlToJson(SOURCE);
+    traverse(ast, (node) => assert.strictEqual(node.position, undefined));
+  });
+
+  test('should record element, attribute and text ranges', () => {
+    const ast = htmlToJson(SOURCE, { positions: true });
+    const img = querySelector(ast, 'img');
+    assert.deepStrictEqual(img.position.start, { offset: 75, line: 4, column: 3 });
+    assert.strictEqual(slice(SOURCE, img.position), '<img src="a.png"  ALT = \'x\' src="b.png">');
+    assert.strictEqual(slice(SOURCE, img.position.attributes.src), 'src="a.png"');
+    assert.strictEqual(slice(SOURCE, img.position.attributes.alt), 'ALT = \'x\'');
+
+    const title = querySelector(ast, 'title');
+    assert.strictEqual(slice(SOURCE, title.position.children[0]), 'Docs');
+    assert.deepStrictEqual(title.position.children[0].start, { offset: 19, line: 1, column: 20 });
+  });
+
+  test('should end implicitly closed elements at their content', () => {
+    const ast = htmlToJson(SOURCE, { positions: true });
+    const [first, second] = ast.children[1].children;
+    assert.strictEqual(slice(SOURCE, first.position), '<p class=intro>One');
+    assert.strictEqual(slice(SOURCE, second.position), `<p>Two\n${SOURCE.split('\n')[3]}\n`);
+    assert.strictEqual(slice(SOURCE, ast.position), SOURCE);
+    assert.strictEqual(jsonToHtml(ast), jsonToHtml(htmlToJson(SOURCE)));
+  });
+
+  test('should record comments and the document in preserve mode', () => {
+    const source = '<!DOCTYPE html>\n<html><!-- note --><body></body></html>';
+    const ast = htmlToJson(source, { preserve: true, positions: true });
+    assert.strictEqual(slice(source, ast.position.children[0]), '<!DOCTYPE html>');
+    const comment = ast.children.find((node) => node.name === 'html').children[0];
+    assert.strictEqual(slice(source, comment.position), '<!-- note -->');
+  });
+
+  test('should report fragment offsets against the fragment source', () => {
+    const source = 'a<b title="x">c</b>';
+    const [, bold] = fragmentToJson(source, { positions: true });
+    assert.strictEqual(slice(source, bold.position), '<b title="x">c</b>');
+    assert.strictEqual(slice(source, bold.position.attributes.title), 'title="x"');
+  });
+});
+
+describe('codeFrame', () => {
+  test('should underline a range with surrounding lines', () => {
+    const ast = htmlToJson(SOURCE, { positions: true });
+    const img = querySelector(ast, 'img');
+    assert.strictEqual(codeFrame(SOURCE, img.position.attributes.alt, { message: 'alt text is too short' }), [
+      '  2 | <body>',
+      '  3 |   <p class=intro>One<p>Two',
+      '> 4 |   <img src="a.png"  ALT = \'x\' src="b.png">',
+      '    |                     ^^^^^^^^^ alt text is too short',
+      '  5 | </body></html>',
+    ].join('\n'));
+  });
+
+  test('should accept offsets and multi-line ranges', () => {
+    const source = 'one\ntwo\n\tthree';
+    assert.strictEqual(codeFrame(source, 10, { linesAbove: 0, linesBelow: 0 }), [
+      '> 3 | \tthree',
+      '    | \t ^',
+    ].join('\n'));
+    assert.strictEqual(codeFrame(source, { start: { offset: 1 }, end: { offset: 8 } }, { linesBelow: 0 }), [
+      '> 1 | one',
+      '    |  ^^',
+      '> 2 | two',
+      '    | ^^^',
+    ].join('\n'));
+    assert.throws(() => codeFrame(source, null), TypeError);
+  });
+});
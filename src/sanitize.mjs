@@ -0,0 +1,261 @@
+import { RESOURCE_ATTRS, SRCSET_ATTRS } from './attributes.mjs';
+import { findCssUrls } from './css.mjs';
+import { parseSrcset } from './srcset.mjs';
+
+// elements whose content is code, markup-like text or a nested document: never kept as text
+const DROP_TAGS = [
+  'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'noscript', 'noembed', 'noframes', 'xmp', 'plaintext', 'textarea', 'select', 'option',
+  'title', 'head', 'svg', 'math',
+];
+
+const TEXT_TAGS = [
+  'p', 'br', 'b', 'strong', 'i', 'em', 'u', 's', 'code', 'pre', 'blockquote', 'ul', 'ol', 'li', 'a',
+];
+
+const RICH_TEXT_TAGS = [
+  ...TEXT_TAGS,
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'div', 'span', 'sub', 'sup', 'small', 'mark', 'del',
+  'ins', 'q', 'cite', 'abbr', 'kbd', 'samp', 'var', 'dl', 'dt', 'dd', 'figure', 'figcaption',
+  'img', 'picture', 'source', 'table', 'caption', 'colgroup', 'col', 'thead', 'tbody', 'tfoot',
+  'tr', 'th', 'td',
+];
+
+const RICH_TEXT_ATTRIBUTES = {
+  '*': ['title', 'lang', 'dir', 'class'],
+  a: ['href', 'target', 'rel', 'name'],
+  img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading'],
+  source: ['srcset', 'sizes', 'media', 'type'],
+  ol: ['start', 'reversed', 'type'],
+  li: ['value'],
+  blockquote: ['cite'],
+  q: ['cite'],
+  del: ['cite', 'datetime'],
+  ins: ['cite', 'datetime'],
+  col: ['span'],
+  colgroup: ['span'],
+  th: ['colspan', 'rowspan', 'headers', 'scope'],
+  td: ['colspan', 'rowspan', 'headers'],
+};
+
+const SANITIZE_PRESETS = {
+  comment: {
+    tags: TEXT_TAGS,
+    attributes: {
+      a: ['href', 'title'],
+    },
+    schemes: ['http', 'https', 'mailto'],
+  },
+  richText: {
+    tags: RICH_TEXT_TAGS,
+    attributes: RICH_TEXT_ATTRIBUTES,
+    schemes: ['http', 'https', 'mailto', 'tel'],
+  },
+  // mail clients only render inline styles and legacy presentational attributes
+  email: {
+    tags: [...RICH_TEXT_TAGS, 'center', 'font'],
+    attributes: {
+      ...RICH_TEXT_ATTRIBUTES,
+      '*': [...RICH_TEXT_ATTRIBUTES['*'], 'style', 'align', 'valign', 'bgcolor', 'width', 'height'],
+      img: [...RICH_TEXT_ATTRIBUTES.img, 'border', 'hspace', 'vspace'],
+      table: ['border', 'cellpadding', 'cellspacing'],
+      font: ['color', 'face', 'size'],
+    },
+    schemes: ['http', 'https', 'mailto', 'tel', 'cid'],
+  },
+};
+
+const URL_SCHEME_RE = /^([a-z][a-z\d+.-]*):/i;
+// browsers ignore leading control characters and spaces, and tabs and newlines anywhere
+const C0_CONTROL_OR_SPACE = '\\x00-\\x20';
+const LEADING_IGNORED_RE = new RegExp(`^[${C0_CONTROL_OR_SPACE}]+`);
+const DANGEROUS_CSS_RE = /expression\s*\(|javascript:|vbscript:|-moz-binding|behavior\s*:|@import/;
+
+const resolvePolicy = (policy) => {
+  const preset = typeof policy === 'string' ? SANITIZE_PRESETS[policy] : policy;
+  if (!preset) {
+    throw new Error(`Unknown sanitize preset "${policy}"`);
+  }
+  const resolved = {
+    tags: [],
+    attributes: {},
+    schemes: ['http', 'https'],
+    dropTags: DROP_TAGS,
+    disallowed: 'unwrap',
+    comments: false,
+    ...preset,
+  };
+  if (resolved.disallowed !== 'unwrap' && resolved.disallowed !== 'drop') {
+    throw new Error(`Unknown disallowed mode "${resolved.disallowed}", expected "unwrap" or "drop"`);
+  }
+  return resolved;
+};
+
+const getUrlScheme = (value) => {
+  const url = String(value).replace(LEADING_IGNORED_RE, '').replace(/[\t\n\r]/g, '');
+  return url.match(URL_SCHEME_RE)?.[1].toLowerCase() ?? null;
+};
+
+const isAllowedUrl = (value, policy) => {
+  const scheme = getUrlScheme(value);
+  return scheme == null || policy.schemes.includes(scheme);
+};
+
+const decodeCssEscape = (hex) => {
+  const codePoint = parseInt(hex, 16);
+  return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '\ufffd';
+};
+
+const isSafeStyle = (style, policy) => {
+  // undo the comment and escape tricks used to hide `expression(` and `javascript:`
+  const normalized = String(style)
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\\([\da-f]{1,6})\s?/gi, (match, hex) => decodeCssEscape(hex))
+    .replace(/\\(.)/g, '$1')
+    .toLowerCase();
+  if (DANGEROUS_CSS_RE.test(normalized)) {
+    return false;
+  }
+  return findCssUrls(normalized).every(({ value }) => isAllowedUrl(value, policy));
+};
+
+const matchesAttributePattern = (pattern, attribute) => (pattern.endsWith('*')
+  ? attribute.startsWith(pattern.slice(0, -1))
+  : pattern === attribute);
+
+const getAttributeProblem = (name, attribute, value, policy) => {
+  const key = attribute.toLowerCase();
+  if (key.startsWith('on')) {
+    return 'event-handler';
+  }
+  if (key === 'srcdoc') {
+    return 'srcdoc';
+  }
+  const patterns = [...(policy.attributes['*'] ?? []), ...(policy.attributes[name] ?? [])];
+  if (!patterns.some((pattern) => matchesAttributePattern(pattern, attribute))) {
+    return 'not-allowed';
+  }
+  if (value == null || typeof value === 'boolean') {
+    return null;
+  }
+  if (RESOURCE_ATTRS.includes(key) && !isAllowedUrl(value, policy)) {
+    return 'url';
+  }
+  if (SRCSET_ATTRS.includes(key) && parseSrcset(value).some(({ url }) => !isAllowedUrl(url, policy))) {
+    return 'url';
+  }
+  if (key === 'style' && !isSafeStyle(value, policy)) {
+    return 'style';
+  }
+  return null;
+};
+
+const sanitizeAttributes = (node, policy, report) => {
+  if (!node.attribs) {
+    return;
+  }
+  Object.entries(node.attribs).forEach(([attribute, value]) => {
+    const reason = getAttributeProblem(node.name, attribute, value, policy);
+    if (reason) {
+      delete node.attribs[attribute];
+      report.push({
+        type: 'attribute',
+        name: node.name,
+        attribute,
+        value,
+        reason,
+      });
+    }
+  });
+};
+
+/**
+ * Returns what replaces `node`: itself, nothing, or its sanitized children
+ * when unwrapped. An array of nodes is sanitized child by child.
+ */
+const sanitizeNode = (node, policy, report) => {
+  if (Array.isArray(node)) {
+    return node.flatMap((child) => sanitizeNode(child, policy, report));
+  }
+  if (typeof node === 'string') {
+    return [node];
+  }
+
+  switch (node.type) {
+  case undefined:
+    break;
+  case 'document':
+    node.children = sanitizeNode(node.children ?? [], policy, report);
+    return [node];
+  case 'doctype':
+    return [node];
+  case 'raw':
+    // raw text is written verbatim, so markup in it must not survive
+    return [{ ...node, content: String(node.content).replace(/</g, '&lt;') }];
+  case 'comment':
+    // text the HTML comment syntax forbids could end the comment early once written out
+    if (policy.comments && !/^-?>|<!--|--!?>|<!-$/.test(node.content)) {
+      return [node];
+    }
+    report.push({ type: 'comment', content: node.content });
+    return [];
+  default:
+    report.push({ type: node.type, content: node.content });
+    return [];
+  }
+
+  const { name } = node;
+  if (policy.tags.includes(name)) {
+    sanitizeAttributes(node, policy, report);
+    if (node.children) {
+      node.children = sanitizeNode(node.children, policy, report);
+    }
+    return [node];
+  }
+
+  if (policy.disallowed === 'drop' || policy.dropTags.includes(name.toLowerCase())) {
+    report.push({ type: 'element', name, action: 'drop' });
+    return [];
+  }
+
+  report.push({ type: 'element', name, action: 'unwrap' });
+  return sanitizeNode(node.children ?? [], policy, report);
+};
+
+/**
+ * Removes everything the policy does not allow, in place, and returns a report
+ * of what was removed. `policy` is a preset name (`'comment'`, `'richText'`,
+ * `'email'`) or an object; see the ReadMe for its fields. A root element is
+ * always kept, only its attributes and children are sanitized.
+ */
+const sanitize = (root, policy = 'comment') => {
+  const resolved = resolvePolicy(policy);
+  const report = [];
+
+  if (!root) {
+    return report;
+  }
+
+  if (Array.isArray(root)) {
+    root.splice(0, root.length, ...sanitizeNode(root, resolved, report));
+    return report;
+  }
+
+  if (root.type === 'document') {
+    sanitizeNode(root, resolved, report);
+    return report;
+  }
+
+  if (typeof root === 'object' && !root.type) {
+    sanitizeAttributes(root, resolved, report);
+    root.children = sanitizeNode(root.children ?? [], resolved, report);
+  }
+
+  return report;
+};
+
+export {
+  getUrlScheme,
+  sanitize,
+  SANITIZE_PRESETS,
+};
@@ -0,0 +1,120 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+
+import { fragmentToJson, htmlToJson, jsonToHtml } from './index.mjs';
+import { sanitize, SANITIZE_PRESETS } from './sanitize.mjs';
+
+const clean = (html, policy) => {
+  const nodes = fragmentToJson(html);
+  const report = sanitize(nodes, policy);
+  return { html: jsonToHtml(nodes), report };
+};
+
+describe('sanitize', () => {
+  test('should unwrap disallowed elements and drop dangerous ones', () => {
+    const { html, report } = clean('<div><p>Hi <span>there</span></p><script>alert(1)</script><iframe src="x"></iframe></div>');
+    assert.strictEqual(html, '<p>Hi there</p>');
+    assert.deepStrictEqual(report, [
+      { type: 'element', name: 'div', action: 'unwrap' },
+      { type: 'element', name: 'span', action: 'unwrap' },
+      { type: 'element', name: 'script', action: 'drop' },
+      { type: 'element', name: 'iframe', action: 'drop' },
+    ]);
+  });
+
+  test('should drop disallowed elements with their content in drop mode', () => {
+    const { html } = clean('<p>a<span>b</span></p>', { ...SANITIZE_PRESETS.comment, disallowed: 'drop' });
+    assert.strictEqual(html, '<p>a</p>');
+  });
+
+  test('should strip event handlers, srcdoc and attributes that are not allowed', () => {
+    const { html, report } = clean('<a href="/x" onclick="go()" class="c" title="t">x</a><p onmouseover="x" srcdoc="y">p</p>');
+    assert.strictEqual(html, '<a href="/x" title="t">x</a><p>p</p>');
+    assert.deepStrictEqual(report.map(({ attribute, reason }) => [attribute, reason]), [
+      ['onclick', 'event-handler'],
+      ['class', 'not-allowed'],
+      ['onmouseover', 'event-handler'],
+      ['srcdoc', 'srcdoc'],
+    ]);
+  });
+
+  test('should only keep URLs with an allowed scheme', () => {
+    const { html, report } = clean([
+      '<a href="javascript:alert(1)">a</a>',
+      '<a href=" JaVa&#x09;script:alert(1)">b</a>',
+      '<a href="mailto:a@b.c">c</a>',
+      '<a href="page.html#top">d</a>',
+      '<a href="data:text/html,x">e</a>',
+    ].join(''));
+    assert.strictEqual(html, '<a>a</a><a>b</a><a href="mailto:a@b.c">c</a><a href="page.html#top">d</a><a>e</a>');
+    assert.deepStrictEqual(report.map(({ reason }) => reason), ['url', 'url', 'url']);
+  });
+
+  test('should check every srcset candidate', () => {
+    const { html } = clean('<img src="a.png" srcset="a.png 1x, javascript:x 2x"><img srcset="b.png 1x, https://c/b.png 2x">', 'richText');
+    assert.strictEqual(html, '<img src="a.png"><img srcset="b.png 1x, https://c/b.png 2x">');
+  });
+
+  test('should remove dangerous styles', () => {
+    const { html, report } = clean([
+      '<p style="color: red">a</p>',
+      '<p style="width: expr/**/ession(alert(1))">b</p>',
+      '<p style="background: url(\'\\6a avascript:x\')">c</p>',
+      '<p style="background: url(https://a/b.png)">d</p>',
+      '<p style="-moz-binding: url(x.xml#x)">e</p>',
+    ].join(''), 'email');
+    assert.strictEqual(html, [
+      '<p style="color: red">a</p>',
+      '<p>b</p>',
+      '<p>c</p>',
+      '<p style="background: url(https://a/b.png)">d</p>',
+      '<p>e</p>',
+    ].join(''));
+    assert.deepStrictEqual(report.map(({ reason }) => reason), ['style', 'style', 'style']);
+  });
+
+  test('should support wildcard attribute patterns', () => {
+    const { html } = clean('<p data-id="1" data-x="2" id="3">a</p>', { tags: ['p'], attributes: { p: ['data-*'] } });
+    assert.strictEqual(html, '<p data-id="1" data-x="2">a</p>');
+  });
+
+  test('should drop comments unless allowed', () => {
+    const nodes = fragmentToJson('<p>a<!-- c --></p>', { preserve: true });
+    assert.deepStrictEqual(sanitize(nodes), [{ type: 'comment', content: ' c ' }]);
+    assert.strictEqual(jsonToHtml(nodes), '<p>a</p>');
+
+    const kept = fragmentToJson('<p>a<!-- c --></p>', { preserve: true });
+    sanitize(kept, { ...SANITIZE_PRESETS.comment, comments: true });
+    assert.strictEqual(jsonToHtml(kept), '<p>a<!-- c --></p>');
+  });
+
+  test('should drop comments whose text could end them early', () => {
+    const contents = ['>x', '->x', 'a--!>b', 'a-->b', 'a<!--b', 'a<!-'];
+    const nodes = contents.map((content) => ({ type: 'comment', content }));
+    const report = sanitize(nodes, { ...SANITIZE_PRESETS.comment, comments: true });
+    assert.deepStrictEqual(report.map(({ content }) => content), contents);
+    assert.deepStrictEqual(nodes, []);
+  });
+
+  test('should keep markup out of raw text nodes', () => {
+    const nodes = ['a', { type: 'raw', content: '&copy;<script>x</script>' }];
+    sanitize(nodes);
+    assert.strictEqual(jsonToHtml(nodes), 'a&copy;&lt;script>x&lt;/script>');
+  });
+
+  test('should keep the root element of a document', () => {
+    const ast = htmlToJson('<html onload="x"><head><title>T</title></head><body><p>a</p></body></html>');
+    sanitize(ast, 'richText');
+    assert.strictEqual(jsonToHtml(ast), '<html><p>a</p></html>');
+  });
+
+  test('should allow email layouts', () => {
+    const { html } = clean('<table border="0" cellpadding="4"><tr><td bgcolor="#fff" align="center"><font color="red">x</font><img src="cid:logo"></td></tr></table>', 'email');
+    assert.strictEqual(html, '<table border="0" cellpadding="4"><tr><td bgcolor="#fff" align="center"><font color="red">x</font><img src="cid:logo"></td></tr></table>');
+  });
+
+  test('should reject unknown presets and modes', () => {
+    assert.throws(() => sanitize([], 'strict'), /Unknown sanitize preset "strict"/);
+    assert.throws(() => sanitize([], { disallowed: 'keep' }), /Unknown disallowed mode "keep"/);
+  });
+});
@@ -0,0 +1,505 @@
+import { createLruCache } from './lru.mjs';
+
+const COMBINATORS = ['>', '+', '~'];
+
+const isElement = (node) => node != null
+  && typeof node === 'object'
+  && !Array.isArray(node)
+  && !node.type
+  && typeof node.name === 'string';
+
+const isIdentChar = (ch) => /[\w\-\u00a0-\uffff]/.test(ch);
+
+const isWhitespace = (ch) => ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r' || ch === '\f';
+
+/**
+ * `source` and `offset` place errors inside the full selector when parsing
+ * the argument of a pseudo-class.
+ */
+const createParser = (selector, source = selector, offset = 0) => {
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new SyntaxError(`Invalid selector "${source}": ${message} at position ${offset + pos}`);
+  };
+
+  const peek = () => selector[pos];
+
+  const skipWhitespace = () => {
+    let skipped = false;
+    while (pos < selector.length && isWhitespace(selector[pos])) {
+      pos++;
+      skipped = true;
+    }
+    return skipped;
+  };
+
+  const readEscape = () => {
+    pos++;
+    const hex = selector.slice(pos).match(/^[0-9a-fA-F]{1,6}/);
+    if (hex) {
+      pos += hex[0].length;
+      if (isWhitespace(peek())) {
+        pos++;
+      }
+      return String.fromCodePoint(parseInt(hex[0], 16));
+    }
+    if (pos >= selector.length) {
+      fail('unexpected end after escape');
+    }
+    return selector[pos++];
+  };
+
+  const readIdent = () => {
+    let ident = '';
+    while (pos < selector.length) {
+      const ch = peek();
+      if (ch === '\\') {
+        ident += readEscape();
+      } else if (isIdentChar(ch)) {
+        ident += ch;
+        pos++;
+      } else {
+        break;
+      }
+    }
+    if (!ident) {
+      fail('expected identifier');
+    }
+    return ident;
+  };
+
+  const readString = () => {
+    const quote = selector[pos++];
+    let value = '';
+    while (pos < selector.length && peek() !== quote) {
+      value += peek() === '\\' ? readEscape() : selector[pos++];
+    }
+    if (peek() !== quote) {
+      fail('unterminated string');
+    }
+    pos++;
+    return value;
+  };
+
+  const readUntilClosingParen = () => {
+    const start = pos;
+    let depth = 1;
+    while (pos < selector.length) {
+      const ch = selector[pos];
+      if (ch === '\\') {
+        pos += 2;
+        continue;
+      }
+      if (ch === '"' || ch === '\'') {
+        readString();
+        continue;
+      }
+      if (ch === '(') {
+        depth++;
+      } else if (ch === ')') {
+        depth--;
+        if (depth === 0) {
+          const content = selector.slice(start, pos);
+          pos++;
+          return content;
+        }
+      }
+      pos++;
+    }
+    return fail('missing ")"');
+  };
+
+  const parseNth = (expression) => {
+    const value = expression.replace(/\s+/g, '').toLowerCase();
+    if (value === 'odd') {
+      return { a: 2, b: 1 };
+    }
+    if (value === 'even') {
+      return { a: 2, b: 0 };
+    }
+    if (/^[+-]?\d+$/.test(value)) {
+      return { a: 0, b: parseInt(value, 10) };
+    }
+    const match = value.match(/^([+-]?\d*)n([+-]\d+)?$/);
+    if (!match) {
+      return fail(`invalid :nth-child() argument "${expression}"`);
+    }
+    const coefficient = match[1];
+    let a;
+    if (coefficient === '' || coefficient === '+') {
+      a = 1;
+    } else if (coefficient === '-') {
+      a = -1;
+    } else {
+      a = parseInt(coefficient, 10);
+    }
+    return { a, b: match[2] ? parseInt(match[2], 10) : 0 };
+  };
+
+  const parseAttribute = () => {
+    pos++;
+    skipWhitespace();
+    const name = readIdent().toLowerCase();
+    skipWhitespace();
+    if (peek() === ']') {
+      pos++;
+      return { type: 'attribute', name, operator: null };
+    }
+    let operator = peek();
+    if (operator === '=') {
+      pos++;
+    } else if (['~', '|', '^', '$', '*'].includes(operator) && selector[pos + 1] === '=') {
+      operator += '=';
+      pos += 2;
+    } else {
+      fail('expected attribute operator');
+    }
+    skipWhitespace();
+    const value = (peek() === '"' || peek() === '\'') ? readString() : readIdent();
+    skipWhitespace();
+    let ignoreCase = false;
+    if (peek() === 'i' || peek() === 'I') {
+      ignoreCase = true;
+      pos++;
+      skipWhitespace();
+    } else if (peek() === 's' || peek() === 'S') {
+      pos++;
+      skipWhitespace();
+    }
+    if (peek() !== ']') {
+      fail('expected "]"');
+    }
+    pos++;
+    return {
+      type: 'attribute',
+      name,
+      operator,
+      value,
+      ignoreCase,
+    };
+  };
+
+  const parsePseudo = () => {
+    pos++;
+    const name = readIdent().toLowerCase();
+    switch (name) {
+    case 'first-child':
+      return { type: 'nth', a: 0, b: 1 };
+    case 'last-child':
+      return { type: 'nth', a: 0, b: 1, fromEnd: true };
+    case 'not': {
+      if (peek() !== '(') {
+        fail(`expected "(" after :${name}`);
+      }
+      pos++;
+      const start = offset + pos;
+      const selectors = createParser(readUntilClosingParen(), source, start)();
+      return { type: 'not', selectors };
+    }
+    case 'nth-child':
+    case 'nth-last-child': {
+      if (peek() !== '(') {
+        fail(`expected "(" after :${name}`);
+      }
+      pos++;
+      const argument = readUntilClosingParen();
+      return { type: 'nth', ...parseNth(argument), fromEnd: name === 'nth-last-child' };
+    }
+    default:
+      return fail(`unsupported pseudo-class ":${name}"`);
+    }
+  };
+
+  const parseCompound = () => {
+    const compound = { tag: null, filters: [] };
+    if (peek() === '*') {
+      pos++;
+    } else if (peek() && (isIdentChar(peek()) || peek() === '\\')) {
+      compound.tag = readIdent().toLowerCase();
+    }
+    while (pos < selector.length) {
+      const ch = peek();
+      if (ch === '#') {
+        pos++;
+        compound.filters.push({ type: 'id', value: readIdent() });
+      } else if (ch === '.') {
+        pos++;
+        compound.filters.push({ type: 'class', value: readIdent() });
+      } else if (ch === '[') {
+        compound.filters.push(parseAttribute());
+      } else if (ch === ':') {
+        compound.filters.push(parsePseudo());
+      } else {
+        break;
+      }
+    }
+    return compound;
+  };
+
+  const parseComplex = () => {
+    const parts = [];
+    let combinator = null;
+    skipWhitespace();
+    while (pos < selector.length && peek() !== ',') {
+      const start = pos;
+      const compound = parseCompound();
+      if (pos === start || (parts.length && !combinator)) {
+        fail(`unexpected "${peek()}"`);
+      }
+      parts.push({ ...compound, combinator });
+      const hadWhitespace = skipWhitespace();
+      if (COMBINATORS.includes(peek())) {
+        combinator = selector[pos++];
+        skipWhitespace();
+        if (pos >= selector.length || peek() === ',') {
+          fail(`missing selector after "${combinator}"`);
+        }
+      } else {
+        combinator = hadWhitespace ? ' ' : null;
+      }
+    }
+    if (!parts.length) {
+      fail('empty selector');
+    }
+    return parts;
+  };
+
+  const parseList = () => {
+    const list = [parseComplex()];
+    while (peek() === ',') {
+      pos++;
+      list.push(parseComplex());
+    }
+    return list;
+  };
+
+  return parseList;
+};
+
+const addSpecificity = (a, b) => a.map((value, index) => value + b[index]);
+
+const compareSpecificity = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+
+/**
+ * Specificity of one parsed complex selector as `[ids, classes, types]`.
+ * `:not()` counts as its most specific argument.
+ */
+const getSpecificity = (parts) => parts.reduce((total, { tag, filters }) => {
+  let specificity = addSpecificity(total, [0, 0, tag ? 1 : 0]);
+  filters.forEach((filter) => {
+    if (filter.type === 'id') {
+      specificity = addSpecificity(specificity, [1, 0, 0]);
+    } else if (filter.type === 'not') {
+      const [highest] = filter.selectors.map(getSpecificity).sort(compareSpecificity).reverse();
+      specificity = addSpecificity(specificity, highest);
+    } else {
+      specificity = addSpecificity(specificity, [0, 1, 0]);
+    }
+  });
+  return specificity;
+}, [0, 0, 0]);
+
+// selectors usually come from a small fixed set, but may be built from input
+const cachedSelector = createLruCache(500);
+
+const parseSelector = (selector) => {
+  if (typeof selector !== 'string') {
+    throw new TypeError('Selector must be a string');
+  }
+  return cachedSelector(selector, (source) => createParser(source)());
+};
+
+const buildContext = (root) => {
+  const parents = new Map();
+  const elements = [];
+  const stack = [{ node: root, parent: null }];
+
+  while (stack.length) {
+    const { node, parent } = stack.pop();
+    if (Array.isArray(node)) {
+      for (let i = node.length - 1; i >= 0; i--) {
+        stack.push({ node: node[i], parent });
+      }
+      continue;
+    }
+    if (node == null || typeof node !== 'object') {
+      continue;
+    }
+    if (isElement(node)) {
+      parents.set(node, parent);
+      elements.push(node);
+    }
+    const children = node.children ?? [];
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push({ node: children[i], parent: node });
+    }
+  }
+
+  const siblingsCache = new Map();
+  const getSiblings = (node) => {
+    const parent = parents.get(node);
+    const key = parent ?? root;
+    if (!siblingsCache.has(key)) {
+      let list;
+      if (parent) {
+        list = parent.children;
+      } else {
+        list = Array.isArray(root) ? root : [root];
+      }
+      siblingsCache.set(key, list.filter(isElement));
+    }
+    return siblingsCache.get(key);
+  };
+
+  return {
+    elements,
+    getParent: (node) => {
+      const parent = parents.get(node);
+      return isElement(parent) ? parent : null;
+    },
+    getSiblings,
+  };
+};
+
+const matchesAttribute = (node, filter) => {
+  const { attribs = {} } = node;
+  const key = Object.keys(attribs).find((name) => name.toLowerCase() === filter.name);
+  if (key === undefined) {
+    return false;
+  }
+  if (!filter.operator) {
+    return true;
+  }
+  let actual = String(attribs[key] ?? '');
+  let expected = filter.value;
+  if (filter.ignoreCase) {
+    actual = actual.toLowerCase();
+    expected = expected.toLowerCase();
+  }
+  switch (filter.operator) {
+  case '=':
+    return actual === expected;
+  case '~=':
+    return expected !== '' && !/\s/.test(expected) && actual.split(/\s+/).includes(expected);
+  case '|=':
+    return actual === expected || actual.startsWith(`${expected}-`);
+  case '^=':
+    return expected !== '' && actual.startsWith(expected);
+  case '$=':
+    return expected !== '' && actual.endsWith(expected);
+  case '*=':
+    return expected !== '' && actual.includes(expected);
+  default:
+    return false;
+  }
+};
+
+const matchesNth = ({ a, b }, position) => {
+  if (a === 0) {
+    return position === b;
+  }
+  const n = (position - b) / a;
+  return Number.isInteger(n) && n >= 0;
+};
+
+// takes matchesParts as an argument for the selectors inside :not(), the two call each other
+const matchesCompound = (node, compound, context, matchParts) => {
+  if (compound.tag && node.name.toLowerCase() !== compound.tag) {
+    return false;
+  }
+  return compound.filters.every((filter) => {
+    switch (filter.type) {
+    case 'id':
+      return node.attribs?.id === filter.value;
+    case 'class':
+      return (node.attribs?.class ?? '').split(/\s+/).includes(filter.value);
+    case 'attribute':
+      return matchesAttribute(node, filter);
+    case 'nth': {
+      const siblings = context.getSiblings(node);
+      const index = siblings.indexOf(node);
+      const position = filter.fromEnd ? siblings.length - index : index + 1;
+      return matchesNth(filter, position);
+    }
+    case 'not':
+      return !filter.selectors.some((parts) => matchParts(node, parts, parts.length - 1, context));
+    default:
+      return false;
+    }
+  });
+};
+
+const matchesParts = (node, parts, index, context) => {
+  const part = parts[index];
+  if (!matchesCompound(node, part, context, matchesParts)) {
+    return false;
+  }
+  if (index === 0) {
+    return true;
+  }
+  switch (part.combinator) {
+  case '>': {
+    const parent = context.getParent(node);
+    return parent != null && matchesParts(parent, parts, index - 1, context);
+  }
+  case ' ': {
+    let ancestor = context.getParent(node);
+    while (ancestor) {
+      if (matchesParts(ancestor, parts, index - 1, context)) {
+        return true;
+      }
+      ancestor = context.getParent(ancestor);
+    }
+    return false;
+  }
+  case '+': {
+    const siblings = context.getSiblings(node);
+    const previous = siblings[siblings.indexOf(node) - 1];
+    return previous != null && matchesParts(previous, parts, index - 1, context);
+  }
+  case '~': {
+    const siblings = context.getSiblings(node);
+    for (let i = siblings.indexOf(node) - 1; i >= 0; i--) {
+      if (matchesParts(siblings[i], parts, index - 1, context)) {
+        return true;
+      }
+    }
+    return false;
+  }
+  default:
+    return false;
+  }
+};
+
+const matchesList = (node, list, context) => list
+  .some((parts) => matchesParts(node, parts, parts.length - 1, context));
+
+const createSelectorMatcher = (root, selector) => {
+  const list = parseSelector(selector);
+  const context = buildContext(root);
+  return (node) => isElement(node) && matchesList(node, list, context);
+};
+
+const querySelectorAll = (root, selector) => {
+  const list = parseSelector(selector);
+  const context = buildContext(root);
+  return context.elements.filter((node) => matchesList(node, list, context));
+};
+
+const querySelector = (root, selector) => {
+  const list = parseSelector(selector);
+  const context = buildContext(root);
+  return context.elements.find((node) => matchesList(node, list, context)) ?? null;
+};
+
+export {
+  compareSpecificity,
+  createSelectorMatcher,
+  getSpecificity,
+  isElement,
+  matchesList,
+  parseSelector,
+  querySelector,
+  querySelectorAll,
+};
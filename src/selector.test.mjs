@@ -0,0 +1,124 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+
+import { fragmentToJson, htmlToJson } from './index.mjs';
+import {
+  createSelectorMatcher,
+  getSpecificity,
+  parseSelector,
+  querySelector,
+  querySelectorAll,
+} from './selector.mjs';
+
+const ast = htmlToJson(`
+  <html>
+    <head>
+      <link rel="shortcut icon" href="/favicon.ico">
+      <link rel="stylesheet" href="https://cdn.example.com/app.css">
+      <link rel="stylesheet" href="/print.css" media="print">
+    </head>
+    <body>
+      <ul id="list">
+        <li class="item first">1</li>
+        <li class="item">2</li>
+        <li class="item special">3</li>
+        <li>4</li>
+      </ul>
+      <p>after list</p>
+      <div lang="en-US"><p>nested</p></div>
+    </body>
+  </html>
+`);
+
+const texts = (nodes) => nodes.map((node) => node.children[0]);
+
+describe('querySelectorAll', () => {
+  test('should match type, class and id selectors', () => {
+    assert.strictEqual(querySelectorAll(ast, 'li').length, 4);
+    assert.deepStrictEqual(texts(querySelectorAll(ast, '.item')), ['1', '2', '3']);
+    assert.deepStrictEqual(texts(querySelectorAll(ast, 'li.item.special')), ['3']);
+    assert.strictEqual(querySelectorAll(ast, '#list')[0].name, 'ul');
+    assert.strictEqual(querySelectorAll(ast, '*').length, 14);
+  });
+
+  test('should match attribute selectors', () => {
+    const hrefs = (selector) => querySelectorAll(ast, selector).map((node) => node.attribs.href);
+    assert.deepStrictEqual(hrefs('[rel~=icon]'), ['/favicon.ico']);
+    assert.deepStrictEqual(hrefs('link[href^="https:"]'), ['https://cdn.example.com/app.css']);
+    assert.deepStrictEqual(hrefs('link[href$=".css"]').length, 2);
+    assert.deepStrictEqual(hrefs('[href*=cdn]'), ['https://cdn.example.com/app.css']);
+    assert.deepStrictEqual(hrefs('link[media]'), ['/print.css']);
+    assert.deepStrictEqual(hrefs('link[rel="STYLESHEET" i][media=print]'), ['/print.css']);
+    assert.strictEqual(querySelectorAll(ast, '[lang|=en]').length, 1);
+  });
+
+  test('should match combinators', () => {
+    assert.deepStrictEqual(texts(querySelectorAll(ast, 'body p')), ['after list', 'nested']);
+    assert.deepStrictEqual(texts(querySelectorAll(ast, 'body > p')), ['after list']);
+    assert.deepStrictEqual(texts(querySelectorAll(ast, 'ul + p')), ['after list']);
+    assert.deepStrictEqual(texts(querySelectorAll(ast, '.first ~ li')), ['2', '3', '4']);
+    assert.deepStrictEqual(texts(querySelectorAll(ast, 'html>body  ul#list>.special')), ['3']);
+  });
+
+  test('should match structural pseudo-classes', () => {
+    assert.deepStrictEqual(texts(querySelectorAll(ast, 'li:first-child')), ['1']);
+    assert.deepStrictEqual(texts(querySelectorAll(ast, 'li:last-child')), ['4']);
+    assert.deepStrictEqual(texts(querySelectorAll(ast, 'li:nth-child(2)')), ['2']);
+    assert.deepStrictEqual(texts(querySelectorAll(ast, 'li:nth-child(odd)')), ['1', '3']);
+    assert.deepStrictEqual(texts(querySelectorAll(ast, 'li:nth-child(2n)')), ['2', '4']);
+    assert.deepStrictEqual(texts(querySelectorAll(ast, 'li:nth-child(-n + 2)')), ['1', '2']);
+    assert.deepStrictEqual(texts(querySelectorAll(ast, 'li:nth-last-child(2)')), ['3']);
+  });
+
+  test('should match :not() with selector lists', () => {
+    assert.deepStrictEqual(texts(querySelectorAll(ast, 'li:not(.first, .special)')), ['2', '4']);
+    assert.deepStrictEqual(texts(querySelectorAll(ast, 'p:not(div > p)')), ['after list']);
+  });
+
+  test('should return matches in document order without duplicates', () => {
+    const result = querySelectorAll(ast, '.special, li, #list');
+    assert.deepStrictEqual(result.map((node) => node.name), ['ul', 'li', 'li', 'li', 'li']);
+  });
+
+  test('should work on fragments', () => {
+    const nodes = fragmentToJson('<p>a</p><p>b</p><section><p>c</p></section>');
+    assert.deepStrictEqual(texts(querySelectorAll(nodes, 'p:first-child')), ['a', 'c']);
+    assert.deepStrictEqual(texts(querySelectorAll(nodes, 'p + p')), ['b']);
+  });
+
+  test('should throw SyntaxError for invalid selectors', () => {
+    ['', 'a >', '[href', 'li:hover', 'a,,b', 'p:not(a', 'li:nth-child(x)'].forEach((selector) => {
+      assert.throws(() => querySelectorAll(ast, selector), SyntaxError);
+    });
+    assert.throws(() => querySelectorAll(ast, 'li:not(.a, b >)'), {
+      message: 'Invalid selector "li:not(.a, b >)": missing selector after ">" at position 14',
+    });
+  });
+});
+
+describe('querySelector', () => {
+  test('should return the first match or null', () => {
+    assert.strictEqual(querySelector(ast, 'li').children[0], '1');
+    assert.strictEqual(querySelector(ast, 'table'), null);
+  });
+});
+
+describe('createSelectorMatcher', () => {
+  test('should build a predicate with parent context', () => {
+    const matches = createSelectorMatcher(ast, 'ul > li:nth-child(2)');
+    const [, second, third] = querySelectorAll(ast, 'li');
+    assert.strictEqual(matches(second), true);
+    assert.strictEqual(matches(third), false);
+    assert.strictEqual(matches('text'), false);
+  });
+});
+
+describe('getSpecificity', () => {
+  test('should count ids, classes and types', () => {
+    const specificity = (selector) => getSpecificity(parseSelector(selector)[0]);
+    assert.deepStrictEqual(specificity('*'), [0, 0, 0]);
+    assert.deepStrictEqual(specificity('ul li.item'), [0, 1, 2]);
+    assert.deepStrictEqual(specificity('#list > li:first-child[data-x]'), [1, 2, 1]);
+    assert.deepStrictEqual(specificity('li:not(.a, #b)'), [1, 0, 1]);
+  });
+});
@@ -0,0 +1,456 @@
+import { DomUtils, parseDocument, Parser } from 'htmlparser2';
+
+import { createLruCache } from './lru.mjs';
+import {
+  adjustAttributeName,
+  getChildNamespace,
+  getElementNamespace,
+  NAMESPACES,
+} from './namespaces.mjs';
+
+const VOID_TAGS = [
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'keygen', 'link', 'meta', 'param',
+  'source', 'track', 'wbr',
+];
+const RAW_TEXT_TAGS = ['script', 'style', 'textarea'];
+const PREFORMATTED_TAGS = ['pre', 'textarea', 'script', 'style'];
+
+const BOOLEAN_ATTRS = [
+  'allowfullscreen', 'async', 'autofocus', 'autoplay', 'checked', 'controls', 'default', 'defer',
+  'disabled', 'formnovalidate', 'hidden', 'inert', 'ismap', 'itemscope', 'loop', 'multiple',
+  'muted', 'nomodule', 'novalidate', 'open', 'playsinline', 'readonly', 'required', 'reversed',
+  'selected',
+];
+
+// elements whose start tag closes an open <p>
+const P_CLOSERS = [
+  'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'div', 'dl', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup',
+  'hr', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'search', 'section', 'table', 'ul',
+];
+
+// elements laid out as blocks, whitespace next to them never renders; anything
+// else (svg, video, custom elements, ...) may be inline and keeps its spaces
+const BLOCK_TAGS = [
+  ...P_CLOSERS, 'base', 'body', 'caption', 'col', 'colgroup', 'dd', 'dt', 'head', 'html', 'legend',
+  'li', 'link', 'meta', 'optgroup', 'option', 'summary', 'tbody', 'td', 'tfoot', 'th', 'thead', 'title',
+  'tr',
+];
+
+const OPTIONAL_END_TAGS = {
+  html: (next) => next?.type !== 'comment',
+  head: (next) => next?.type !== 'comment' && typeof next !== 'string',
+  body: (next) => next?.type !== 'comment',
+  li: (next) => !next || next.name === 'li',
+  dt: (next) => next?.name === 'dt' || next?.name === 'dd',
+  dd: (next) => !next || next.name === 'dt' || next.name === 'dd',
+  p: (next, parentName) => (
+    next
+      ? P_CLOSERS.includes(next.name)
+      : !['a', 'audio', 'del', 'ins', 'map', 'noscript', 'video'].includes(parentName)
+  ),
+  option: (next) => !next || next.name === 'option' || next.name === 'optgroup',
+  optgroup: (next) => !next || next.name === 'optgroup',
+  tr: (next) => !next || next.name === 'tr',
+  td: (next) => !next || next.name === 'td' || next.name === 'th',
+  th: (next) => !next || next.name === 'td' || next.name === 'th',
+  thead: (next) => next?.name === 'tbody' || next?.name === 'tfoot',
+  tbody: (next) => !next || next.name === 'tbody' || next.name === 'tfoot',
+  tfoot: (next) => !next,
+};
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\u00a0': '&nbsp;',
+};
+
+const escapeText = (text) => String(text).replace(/[&<>\u00a0]/g, (ch) => HTML_ESCAPES[ch]);
+
+const escapeAttribute = (value) => String(value).replace(/[&"\u00a0]/g, (ch) => HTML_ESCAPES[ch]);
+
+// XML has no named entities besides the predefined five, so non-breaking spaces use a character reference
+const XML_ESCAPES = {
+  ...HTML_ESCAPES,
+  '\u00a0': '&#160;',
+  '\t': '&#9;',
+  '\n': '&#10;',
+  '\r': '&#13;',
+};
+
+const escapeXmlText = (text) => String(text).replace(/[&<>\u00a0]/g, (ch) => XML_ESCAPES[ch]);
+
+const escapeXmlAttribute = (value) => String(value).replace(/[&<"\u00a0\t\n\r]/g, (ch) => XML_ESCAPES[ch]);
+
+const isElementNode = (node) => typeof node === 'object' && node !== null && !node.type;
+
+/**
+ * Whether whitespace next to `node` never renders, so lines may break there.
+ * Comments and elements not known to be blocks may sit inside a line of text.
+ */
+const isBlockNode = (node, parentName) => typeof node !== 'string' && (
+  parentName === 'head'
+  || node.type === 'document'
+  || node.type === 'doctype'
+  || node.type === 'processing-instruction'
+  || (isElementNode(node) && BLOCK_TAGS.includes(node.name))
+);
+
+const serializeText = (text, parentName, options = {}) => {
+  if (options.syntax === 'xhtml') {
+    if ((parentName === 'script' || parentName === 'style') && /[<&]/.test(text)) {
+      return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+    }
+    // textarea text stays entity-encoded like the source, so it is decoded before escaping for XML
+    return escapeXmlText(parentName === 'textarea'
+      ? DomUtils.textContent(parseDocument(String(text).replace(/</g, '&lt;')))
+      : text);
+  }
+  if (!RAW_TEXT_TAGS.includes(parentName)) {
+    return escapeText(text);
+  }
+  // raw text is written verbatim, so it must not be able to close its element early
+  if (new RegExp(`</${parentName}[\\t\\n\\f\\r />]`, 'i').test(text)) {
+    throw new Error(`Text inside <${parentName}> must not contain "</${parentName}"`);
+  }
+  return text;
+};
+
+const serializeAttribute = (key, value, options) => {
+  const text = String(value);
+  // other values can carry meaning, like hidden="until-found", and are written as they are
+  const isBoolean = BOOLEAN_ATTRS.includes(key.toLowerCase())
+    && (text === '' || text.toLowerCase() === key.toLowerCase());
+  if (isBoolean || value === true) {
+    if (options.syntax === 'xhtml') {
+      return `${key}="${key}"`;
+    }
+    return key;
+  }
+  if (options.syntax === 'xhtml') {
+    return `${key}="${escapeXmlAttribute(text)}"`;
+  }
+  if (options.minify) {
+    if (text === '') {
+      return key;
+    }
+    if (/^[^\s"'=<>`]+$/.test(text)) {
+      return `${key}=${escapeAttribute(text)}`;
+    }
+  }
+  return `${key}="${escapeAttribute(text)}"`;
+};
+
+const serializeOpenTag = (node, options = {}) => {
+  const { name, attribs = {} } = node;
+
+  const attrStr = Object.entries(attribs)
+    .filter(([, value]) => value != null && value !== false)
+    .map(([key, value]) => serializeAttribute(key, value, options))
+    .join(' ');
+
+  return attrStr ? `<${name} ${attrStr}>` : `<${name}>`;
+};
+
+const cachedStartTags = createLruCache(1000);
+
+const parseStartTag = (html) => cachedStartTags(html, () => {
+  let tag = null;
+  const parser = new Parser({
+    onopentag: (name, attribs) => {
+      tag ??= { name, attribs };
+    },
+  });
+  parser.end(html);
+  return tag;
+});
+
+/**
+ * The `startTag` source kept by preserve mode, when it still parses to the
+ * name and attributes of the node; `openTag` is what would be written instead.
+ */
+const getPreservedStartTag = (node, namespace, openTag) => {
+  const tag = typeof node.startTag === 'string' ? parseStartTag(node.startTag) : null;
+  if (tag?.name !== node.name.toLowerCase()) {
+    return null;
+  }
+  const attribs = Object.fromEntries(Object.entries(tag.attribs)
+    .map(([key, value]) => [adjustAttributeName(key, namespace), value]));
+  return serializeOpenTag({ name: node.name, attribs }) === openTag ? node.startTag : null;
+};
+
+/**
+ * Works out the namespace of an element and, for XHTML output, the `xmlns`
+ * declarations it needs. Returns the open tag and the options for its children.
+ */
+const enterElement = (node, options) => {
+  const { name, attribs = {} } = node;
+  const namespace = getElementNamespace(name, options.namespace);
+  const childOptions = {
+    ...options,
+    namespace: getChildNamespace(name, namespace),
+  };
+
+  if (namespace === 'html' && PREFORMATTED_TAGS.includes(name)) {
+    childOptions.preformatted = true;
+  }
+
+  if (options.syntax !== 'xhtml') {
+    const openTag = serializeOpenTag(node, options);
+    return {
+      namespace,
+      childOptions,
+      openTag: (options.startTags && getPreservedStartTag(node, namespace, openTag)) || openTag,
+    };
+  }
+
+  // fragments are assumed to live in an XHTML document; the root element of one declares it
+  const inheritedNamespace = options.defaultNamespace ?? NAMESPACES.html;
+  const declarations = {};
+  if (attribs.xmlns == null && (name === 'html' || inheritedNamespace !== NAMESPACES[namespace])) {
+    declarations.xmlns = NAMESPACES[namespace];
+  }
+  const usesXlink = Object.keys(attribs).some((key) => key.startsWith('xlink:'));
+  if (usesXlink && !options.xlinkDeclared && attribs['xmlns:xlink'] == null) {
+    declarations['xmlns:xlink'] = NAMESPACES.xlink;
+  }
+  childOptions.defaultNamespace = attribs.xmlns ?? NAMESPACES[namespace];
+  childOptions.xlinkDeclared = options.xlinkDeclared || usesXlink || attribs['xmlns:xlink'] != null;
+
+  return {
+    namespace,
+    childOptions,
+    openTag: serializeOpenTag({ name, attribs: { ...declarations, ...attribs } }, options),
+  };
+};
+
+/**
+ * Collapses whitespace and drops the whitespace that cannot render: at the
+ * edges of block containers, next to block elements and anywhere in <head>.
+ */
+const minifyChildren = (children, parentName) => {
+  const parentIsBlock = parentName == null || BLOCK_TAGS.includes(parentName);
+  const isBoundary = (sibling) => (sibling === undefined ? parentIsBlock : isBlockNode(sibling, parentName));
+
+  return children
+    .map((child, index) => {
+      if (typeof child !== 'string') {
+        return child;
+      }
+      let text = child.replace(/[ \t\n\f\r]+/g, ' ');
+      if (isBoundary(children[index - 1])) {
+        text = text.replace(/^ /, '');
+      }
+      if (isBoundary(children[index + 1])) {
+        text = text.replace(/ $/, '');
+      }
+      return text;
+    })
+    .filter((child) => child !== '');
+};
+
+// takes the node serializer as an argument, the two call each other
+const serializeChildren = (children, parentName, options, serializeChild) => {
+  const kept = options.minify && !options.preformatted
+    ? minifyChildren(children, parentName)
+    : children;
+  return kept
+    .map((child, index) => serializeChild(child, parentName, options, kept[index + 1]))
+    .join('');
+};
+
+const serializeNode = (node, parentName, options = {}, next = undefined) => {
+  if (typeof node === 'string') {
+    return serializeText(node, parentName, options);
+  }
+
+  switch (node.type) {
+  case 'document':
+    return serializeChildren(node.children, null, options, serializeNode);
+  case 'raw':
+    // HTML named entities like &copy; are not defined in XML, so the text is decoded and escaped again
+    return options.syntax === 'xhtml'
+      ? escapeXmlText(DomUtils.textContent(parseDocument(node.content)))
+      : node.content;
+  case 'comment':
+    return `<!--${node.content}-->`;
+  case 'cdata':
+    return `<![CDATA[${node.content}]]>`;
+  case 'doctype':
+  case 'processing-instruction':
+    return `<${node.content}>`;
+  default:
+    break;
+  }
+
+  const { name, children = [] } = node;
+  const { namespace, childOptions, openTag } = enterElement(node, options);
+  const isVoid = namespace === 'html' && VOID_TAGS.includes(name);
+
+  if (isVoid && children.length) {
+    throw new Error(`Void element <${name}> cannot have children`);
+  }
+  if (options.syntax === 'xhtml' && !children.length) {
+    return `${openTag.slice(0, -1)} />`;
+  }
+  // a kept start tag like <path/> already closed its foreign element
+  if (isVoid || (namespace !== 'html' && !children.length && openTag === node.startTag && openTag.endsWith('/>'))) {
+    return openTag;
+  }
+
+  const childrenHtml = serializeChildren(children, name, childOptions, serializeNode);
+
+  if (options.minify && options.syntax !== 'xhtml' && OPTIONAL_END_TAGS[name]?.(next, parentName)) {
+    return `${openTag}${childrenHtml}`;
+  }
+
+  return `${openTag}${childrenHtml}</${name}>`;
+};
+
+/**
+ * Fills lines with the words of a run of inline content. Breaks only where the
+ * source already has whitespace, so the rendered text does not change.
+ */
+const wrapInline = (run, indent, parentName, options) => {
+  const words = [];
+  let pendingSpace = false;
+
+  const pushWord = (text) => {
+    if (pendingSpace || !words.length) {
+      words.push(text);
+    } else {
+      words[words.length - 1] += text;
+    }
+    pendingSpace = false;
+  };
+
+  run.forEach((node) => {
+    if (typeof node !== 'string') {
+      pushWord(serializeNode(node, parentName, options));
+      return;
+    }
+    serializeText(node, parentName, options).split(/([ \t\n\f\r]+)/).forEach((part, index) => {
+      if (index % 2 === 1) {
+        pendingSpace = true;
+      } else if (part) {
+        pushWord(part);
+      }
+    });
+  });
+
+  const lines = [];
+  let line = '';
+  words.forEach((word) => {
+    if (line && indent.length + line.length + 1 + word.length > options.maxLineWidth) {
+      lines.push(`${indent}${line}`);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) {
+    lines.push(`${indent}${line}`);
+  }
+  return lines;
+};
+
+// lays out inline runs itself and hands every other child to `prettyChild`
+const prettyChildren = (children, depth, parentName, options, prettyChild) => {
+  const lines = [];
+  let run = [];
+
+  const flush = () => {
+    if (run.length) {
+      lines.push(...wrapInline(run, options.indent.repeat(depth), parentName, options));
+      run = [];
+    }
+  };
+
+  children.forEach((child) => {
+    if (!isBlockNode(child, parentName)) {
+      run.push(child);
+      return;
+    }
+    flush();
+    lines.push(...prettyChild(child, depth, parentName, options));
+  });
+  flush();
+
+  return lines;
+};
+
+const prettyNode = (node, depth, parentName, options) => {
+  const indent = options.indent.repeat(depth);
+
+  if (node.type === 'document') {
+    return prettyChildren(node.children, depth, null, options, prettyNode);
+  }
+
+  const compact = serializeNode(node, parentName, options);
+
+  if (
+    !isElementNode(node)
+    || PREFORMATTED_TAGS.includes(node.name)
+    || !node.children?.length
+  ) {
+    return [`${indent}${compact}`];
+  }
+
+  if (
+    node.children.every((child) => !isBlockNode(child, node.name))
+    && !compact.includes('\n')
+    && indent.length + compact.length <= options.maxLineWidth
+  ) {
+    return [`${indent}${compact}`];
+  }
+
+  const { name, children } = node;
+  const { openTag, childOptions } = enterElement(node, options);
+  return [
+    `${indent}${openTag}`,
+    ...prettyChildren(children, depth + 1, name, childOptions, prettyNode),
+    `${indent}</${name}>`,
+  ];
+};
+
+const jsonToHtml = (node, options = {}) => {
+  const {
+    context = null,
+    syntax = 'html',
+    pretty = false,
+    minify = false,
+    indent = 2,
+    maxLineWidth = 80,
+  } = options;
+
+  if (pretty && minify) {
+    throw new Error('The pretty and minify options cannot be combined');
+  }
+  if (syntax !== 'html' && syntax !== 'xhtml') {
+    throw new Error(`Unknown syntax "${syntax}", expected "html" or "xhtml"`);
+  }
+
+  const nodes = Array.isArray(node) ? node : [node];
+
+  if (pretty) {
+    return prettyChildren(nodes, 0, context, {
+      syntax,
+      indent: typeof indent === 'number' ? ' '.repeat(indent) : indent,
+      maxLineWidth,
+    }, prettyNode).join('\n');
+  }
+
+  // kept start tags are only written where the output should match the source
+  return serializeChildren(nodes, context, { syntax, minify, startTags: !minify }, serializeNode);
+};
+
+export {
+  escapeAttribute,
+  escapeText,
+  jsonToHtml,
+  RAW_TEXT_TAGS,
+  serializeOpenTag,
+  VOID_TAGS,
+};
@@ -0,0 +1,236 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+
+import { fragmentToJson, htmlToJson } from './index.mjs';
+import { jsonToHtml } from './serializer.mjs';
+
+const source = [
+  '<!DOCTYPE html>',
+  '<html lang="en">',
+  '  <head>',
+  '    <meta charset="utf-8">',
+  '    <title>Test</title>',
+  '    <script>',
+  '  if (a < b) { go(); }',
+  '    </script>',
+  '  </head>',
+  '  <body>',
+  '    <div class="container">',
+  '      <h1>Hello <em>World</em></h1>',
+  '      <p>Lorem ipsum dolor sit amet, consectetur adipiscing elit, sed do eiusmod tempor incididunt. <a href="/x">Ut enim</a> ad minim.</p>',
+  '      <pre>  keep\n   this  <b> as is </b></pre>',
+  '      <ul>',
+  '        <li>One</li>',
+  '        <li>Two <input type="checkbox" checked="" disabled="disabled"></li>',
+  '      </ul>',
+  '    </div>',
+  '  </body>',
+  '</html>',
+  '',
+].join('\n');
+
+describe('jsonToHtml pretty', () => {
+  test('should indent block elements and keep inline elements inline', () => {
+    const doc = htmlToJson(source, { preserve: true });
+    assert.strictEqual(jsonToHtml(doc, { pretty: true }), [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '  <head>',
+      '    <meta charset="utf-8">',
+      '    <title>Test</title>',
+      '    <script>',
+      '  if (a < b) { go(); }',
+      '    </script>',
+      '  </head>',
+      '  <body>',
+      '    <div class="container">',
+      '      <h1>Hello <em>World</em></h1>',
+      '      <p>',
+      '        Lorem ipsum dolor sit amet, consectetur adipiscing elit, sed do eiusmod',
+      '        tempor incididunt. <a href="/x">Ut enim</a> ad minim.',
+      '      </p>',
+      '      <pre>  keep\n   this  <b> as is </b></pre>',
+      '      <ul>',
+      '        <li>One</li>',
+      '        <li>Two <input type="checkbox" checked disabled></li>',
+      '      </ul>',
+      '    </div>',
+      '  </body>',
+      '</html>',
+    ].join('\n'));
+  });
+
+  test('should support custom indent and line width', () => {
+    const nodes = fragmentToJson('<div><p>one two three four five six</p></div>');
+    assert.strictEqual(jsonToHtml(nodes, { pretty: true, indent: '\t', maxLineWidth: 16 }), [
+      '<div>',
+      '\t<p>',
+      '\t\tone two three',
+      '\t\tfour five six',
+      '\t</p>',
+      '</div>',
+    ].join('\n'));
+  });
+
+  test('should only break lines where the source has whitespace', () => {
+    const nodes = fragmentToJson('<p>aaaa<b>bbbb</b>cccc dddd</p>');
+    assert.strictEqual(jsonToHtml(nodes, { pretty: true, maxLineWidth: 10 }), [
+      '<p>',
+      '  aaaa<b>bbbb</b>cccc',
+      '  dddd',
+      '</p>',
+    ].join('\n'));
+  });
+
+  test('should keep comments and elements that may be inline inside lines of text', () => {
+    const nodes = fragmentToJson('<p>foo<!-- c -->bar</p><div>foo<video></video>bar<my-tag>x</my-tag>baz<svg></svg>qux</div>', { preserve: true });
+    assert.strictEqual(jsonToHtml(nodes, { pretty: true, maxLineWidth: 40 }), [
+      '<p>foo<!-- c -->bar</p>',
+      '<div>',
+      '  foo<video></video>bar<my-tag>x</my-tag>baz<svg></svg>qux',
+      '</div>',
+    ].join('\n'));
+  });
+
+  test('should put comments and raw text elements between blocks on their own lines', () => {
+    const nodes = fragmentToJson('<div><p>a</p><!-- note --><style>a > b { color: red }</style><p>b</p></div>', { preserve: true });
+    assert.strictEqual(jsonToHtml(nodes, { pretty: true, maxLineWidth: 30 }), [
+      '<div>',
+      '  <p>a</p>',
+      '  <!-- note --><style>a > b { color: red }</style>',
+      '  <p>b</p>',
+      '</div>',
+    ].join('\n'));
+  });
+});
+
+describe('jsonToHtml minify', () => {
+  test('should collapse whitespace, drop optional end tags and shorten attributes', () => {
+    const doc = htmlToJson(source, { preserve: true });
+    assert.strictEqual(jsonToHtml(doc, { minify: true }), [
+      '<!DOCTYPE html><html lang=en><head><meta charset=utf-8><title>Test</title><script>\n',
+      '  if (a < b) { go(); }\n',
+      '    </script><body><div class=container><h1>Hello <em>World</em></h1>',
+      '<p>Lorem ipsum dolor sit amet, consectetur adipiscing elit, sed do eiusmod tempor incididunt. ',
+      '<a href=/x>Ut enim</a> ad minim.',
+      '<pre>  keep\n   this  <b> as is </b></pre>',
+      '<ul><li>One<li>Two <input type=checkbox checked disabled></ul></div>',
+    ].join(''));
+  });
+
+  test('should keep quotes where an unquoted value would be unsafe', () => {
+    const nodes = fragmentToJson('<a title="a b" data-x="a=b" class="" href="/a?x&amp;y">x</a>');
+    assert.strictEqual(
+      jsonToHtml(nodes, { minify: true }),
+      '<a title="a b" data-x="a=b" class href=/a?x&amp;y>x</a>',
+    );
+  });
+
+  test('should keep end tags that are required', () => {
+    const nodes = fragmentToJson('<div><p>a</p><span>b</span></div><ul><li>x</li>text</ul><dl><dt>t</dt><dd>d</dd></dl>');
+    assert.strictEqual(
+      jsonToHtml(nodes, { minify: true }),
+      '<div><p>a</p><span>b</span></div><ul><li>x</li>text</ul><dl><dt>t<dd>d</dl>',
+    );
+  });
+
+  test('should only shorten boolean attributes whose value is empty or their name', () => {
+    const nodes = fragmentToJson('<div hidden="until-found" inert="INERT"><input disabled="disabled" checked=""></div>');
+    assert.strictEqual(jsonToHtml(nodes, { minify: true }), '<div hidden=until-found inert><input disabled checked></div>');
+    assert.strictEqual(jsonToHtml(nodes), '<div hidden="until-found" inert><input disabled checked></div>');
+    assert.strictEqual(
+      jsonToHtml(nodes, { syntax: 'xhtml' }),
+      '<div hidden="until-found" inert="inert"><input disabled="disabled" checked="checked" /></div>',
+    );
+  });
+
+  test('should keep whitespace between inline elements', () => {
+    const nodes = fragmentToJson('<div>\n  <b>a</b>\n  <i>b</i>\n</div>', { preserve: true });
+    assert.strictEqual(jsonToHtml(nodes, { minify: true }), '<div><b>a</b> <i>b</i></div>');
+  });
+
+  test('should keep whitespace around elements that may be inline', () => {
+    const nodes = fragmentToJson([
+      '<p>Icon <svg><text> a </text></svg> and <video></video> or <my-tag> x </my-tag> <math><mi>x</mi></math></p>',
+      '<div> <iframe></iframe> <canvas></canvas> </div>',
+      '<my-card>\n  text\n</my-card>',
+    ].join(''), { preserve: true });
+    assert.strictEqual(jsonToHtml(nodes, { minify: true }), [
+      '<p>Icon <svg><text> a </text></svg> and <video></video> or <my-tag> x </my-tag> <math><mi>x</mi></math>',
+      '<div><iframe></iframe> <canvas></canvas></div>',
+      '<my-card> text </my-card>',
+    ].join(''));
+  });
+
+  test('should not combine with pretty', () => {
+    assert.throws(() => jsonToHtml('x', { pretty: true, minify: true }), /cannot be combined/);
+  });
+});
+
+describe('jsonToHtml xhtml', () => {
+  test('should write a well-formed document with namespace declarations', () => {
+    const html = [
+      '<!DOCTYPE html><html><head><title>T</title>',
+      '<script>if (a < b && c) { go(); }</script></head>',
+      '<body><p>a&nbsp;b<br></p>',
+      '<svg viewBox="0 0 10 10"><linearGradient id="g"></linearGradient><use xlink:href="#g"></use></svg>',
+      '<math><mi definitionURL="x">y</mi></math></body></html>',
+    ].join('');
+    assert.strictEqual(jsonToHtml(htmlToJson(html), { syntax: 'xhtml' }), [
+      '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>T</title>',
+      '<script><![CDATA[if (a < b && c) { go(); }]]></script></head>',
+      '<body><p>a&#160;b<br /></p>',
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><linearGradient id="g" />',
+      '<use xmlns:xlink="http://www.w3.org/1999/xlink" xlink:href="#g" /></svg>',
+      '<math xmlns="http://www.w3.org/1998/Math/MathML"><mi definitionURL="x">y</mi></math></body></html>',
+    ].join(''));
+  });
+
+  test('should declare the xlink namespace once per subtree', () => {
+    const nodes = fragmentToJson('<svg xmlns:xlink="http://www.w3.org/1999/xlink"><use xlink:href="#a"></use></svg>');
+    assert.strictEqual(
+      jsonToHtml(nodes, { syntax: 'xhtml' }),
+      '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><use xlink:href="#a" /></svg>',
+    );
+  });
+
+  test('should switch back to the XHTML namespace inside foreignObject', () => {
+    const nodes = fragmentToJson('<svg><foreignObject><div>x</div></foreignObject></svg>');
+    assert.strictEqual(
+      jsonToHtml(nodes, { syntax: 'xhtml' }),
+      '<svg xmlns="http://www.w3.org/2000/svg"><foreignObject><div xmlns="http://www.w3.org/1999/xhtml">x</div></foreignObject></svg>',
+    );
+  });
+
+  test('should escape text and attributes for XML', () => {
+    const ast = { name: 'p', attribs: { title: 'a<b\n"c"' }, children: ['x > y', { name: 'script', attribs: {}, children: ['a ]]> b < c'] }] };
+    assert.strictEqual(
+      jsonToHtml(ast, { syntax: 'xhtml' }),
+      '<p title="a&lt;b&#10;&quot;c&quot;">x &gt; y<script><![CDATA[a ]]]]><![CDATA[> b < c]]></script></p>',
+    );
+  });
+
+  test('should write text kept with preserve as XML text', () => {
+    const nodes = fragmentToJson('<p title="&copy;">&copy; 2024 &nbsp;&amp; <b>&lt;x&gt; &#x41;</b></p>', { preserve: true });
+    assert.strictEqual(
+      jsonToHtml(nodes, { syntax: 'xhtml' }),
+      '<p title="©">© 2024 &#160;&amp; <b>&lt;x&gt; A</b></p>',
+    );
+    assert.strictEqual(jsonToHtml(nodes), '<p title="&copy;">&copy; 2024 &nbsp;&amp; <b>&lt;x&gt; &#x41;</b></p>');
+  });
+
+  test('should decode textarea text once so it survives a round trip', () => {
+    const nodes = fragmentToJson('<textarea>&amp;lt; &copy; <b></textarea>');
+    const xhtml = jsonToHtml(nodes, { syntax: 'xhtml' });
+    assert.strictEqual(xhtml, '<textarea>&amp;lt; © &lt;b&gt;</textarea>');
+    assert.strictEqual(jsonToHtml(fragmentToJson(xhtml), { syntax: 'xhtml' }), xhtml);
+  });
+
+  test('should self-close empty elements and keep end tags when minified', () => {
+    const nodes = fragmentToJson('<ul><li>a</li><li>b</li></ul><div></div><input type="checkbox" checked>');
+    assert.strictEqual(
+      jsonToHtml(nodes, { syntax: 'xhtml', minify: true }),
+      '<ul><li>a</li><li>b</li></ul><div /><input type="checkbox" checked="checked" />',
+    );
+  });
+});
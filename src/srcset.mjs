@@ -0,0 +1,90 @@
+const isWhitespace = (ch) => ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r' || ch === '\f';
+
+/**
+ * Splits a srcset / imagesrcset value into image candidates, following the
+ * HTML spec's parsing rules (URLs may contain commas, descriptors may not).
+ * Offsets point at the URL inside the original value.
+ */
+const parseSrcset = (value) => {
+  const candidates = [];
+  const input = String(value ?? '');
+  let pos = 0;
+
+  while (pos < input.length) {
+    while (pos < input.length && (isWhitespace(input[pos]) || input[pos] === ',')) {
+      pos++;
+    }
+    if (pos >= input.length) {
+      break;
+    }
+
+    const start = pos;
+    while (pos < input.length && !isWhitespace(input[pos])) {
+      pos++;
+    }
+    let end = pos;
+    let hasDescriptors = true;
+    if (input[end - 1] === ',') {
+      while (end > start && input[end - 1] === ',') {
+        end--;
+      }
+      hasDescriptors = false;
+    }
+
+    let descriptor = '';
+    if (hasDescriptors) {
+      const descriptorStart = pos;
+      let inParens = false;
+      while (pos < input.length) {
+        const ch = input[pos];
+        if (ch === '(') {
+          inParens = true;
+        } else if (ch === ')') {
+          inParens = false;
+        } else if (ch === ',' && !inParens) {
+          break;
+        }
+        pos++;
+      }
+      descriptor = input.slice(descriptorStart, pos).trim().replace(/\s+/g, ' ');
+      pos++;
+    }
+
+    if (end > start) {
+      candidates.push({
+        url: input.slice(start, end),
+        descriptor,
+        start,
+        end,
+      });
+    }
+  }
+
+  return candidates;
+};
+
+/**
+ * Replaces candidate URLs in place, keeping the original spacing and descriptors.
+ * `replacer(candidate)` returns the new URL, or undefined to keep it.
+ */
+const replaceSrcsetUrls = (value, replacer) => {
+  const input = String(value ?? '');
+  const candidates = parseSrcset(input);
+  const urls = candidates.map(replacer);
+  let result = input;
+
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    const candidate = candidates[i];
+    const url = urls[i];
+    if (url !== undefined && url !== candidate.url) {
+      result = `${result.slice(0, candidate.start)}${url}${result.slice(candidate.end)}`;
+    }
+  }
+
+  return result;
+};
+
+export {
+  parseSrcset,
+  replaceSrcsetUrls,
+};
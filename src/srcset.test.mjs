@@ -0,0 +1,28 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+
+import { parseSrcset, replaceSrcsetUrls } from './srcset.mjs';
+
+describe('parseSrcset', () => {
+  test('should parse candidates with descriptors', () => {
+    const result = parseSrcset(' a.png 1x,b.png  2x , c.png 480w, d.png');
+    assert.deepStrictEqual(result.map(({ url, descriptor }) => [url, descriptor]), [
+      ['a.png', '1x'],
+      ['b.png', '2x'],
+      ['c.png', '480w'],
+      ['d.png', ''],
+    ]);
+  });
+
+  test('should keep commas inside URLs', () => {
+    const result = parseSrcset('data:image/png;base64,AA== 1x, e.png,, f.png 2x');
+    assert.deepStrictEqual(result.map(({ url }) => url), ['data:image/png;base64,AA==', 'e.png', 'f.png']);
+  });
+});
+
+describe('replaceSrcsetUrls', () => {
+  test('should replace URLs and keep descriptors and spacing', () => {
+    const result = replaceSrcsetUrls('a.png 1x,b.png  2x', ({ url }) => (url === 'b.png' ? '/b.png' : undefined));
+    assert.strictEqual(result, 'a.png 1x,/b.png  2x');
+  });
+});
@@ -0,0 +1,401 @@
+import { Readable } from 'node:stream';
+
+import { Parser } from 'htmlparser2';
+
+import {
+  adjustAttributeName,
+  adjustElementName,
+  getChildNamespace,
+  getElementNamespace,
+} from './namespaces.mjs';
+import { matchesList, parseSelector } from './selector.mjs';
+import { jsonToHtml, serializeOpenTag, VOID_TAGS } from './serializer.mjs';
+
+/**
+ * Elements are matched when their start tag is read, so selectors that look
+ * at later siblings (`:last-child`, `:nth-last-child()`) can never match.
+ */
+const assertStreamable = (selector, list) => list.forEach((parts) => parts.forEach(({ filters }) => {
+  filters.forEach((filter) => {
+    if (filter.type === 'nth' && filter.fromEnd) {
+      throw new SyntaxError(`Selector "${selector}" cannot be matched while streaming: it depends on later siblings`);
+    }
+    if (filter.type === 'not') {
+      assertStreamable(selector, filter.selectors);
+    }
+  });
+}));
+
+const usesSiblings = (list) => list.some((parts) => parts.some(({ combinator, filters }) => combinator === '+'
+  || combinator === '~'
+  || filters.some((filter) => filter.type === 'nth' || (filter.type === 'not' && usesSiblings(filter.selectors)))));
+
+const toChunks = (input) => {
+  if (typeof input === 'string') {
+    return [input];
+  }
+  if (input?.[Symbol.asyncIterator] || input?.[Symbol.iterator]) {
+    return input;
+  }
+  throw new TypeError('Expected a string, a Readable, a ReadableStream or an iterable of chunks');
+};
+
+/**
+ * One pass over a document. Source text is copied to the output untouched
+ * unless a handler changed it: only start tags with modified attributes are
+ * serialized again, and only the text not yet consumed is kept in memory.
+ */
+const createSession = (setups) => {
+  const handlers = [];
+  const headContent = [];
+  const on = (selector, handler) => {
+    handlers.push({ list: parseSelector(selector), handler });
+  };
+  const appendToHead = (getContent) => {
+    headContent.push(getContent);
+  };
+  setups.forEach((setup) => setup({ on, appendToHead }));
+
+  if (headContent.length) {
+    // a document without <head> gets one in front of <body>
+    let headSeen = false;
+    const getHeadContent = () => headContent.map((getContent) => getContent()).filter((content) => content != null);
+    on('head', (element) => {
+      headSeen = true;
+      element.onEndTag(() => element.append(getHeadContent()));
+    });
+    on('body', (element) => {
+      if (!headSeen) {
+        headSeen = true;
+        element.before({ name: 'head', attribs: {}, children: getHeadContent() });
+      }
+    });
+  }
+
+  const trackSiblings = handlers.some(({ list }) => usesSiblings(list));
+  const roots = [];
+  const context = {
+    getParent: (record) => record.parent,
+    getSiblings: (record) => record.parent?.children ?? roots,
+  };
+  const stack = [];
+  let output = [];
+  let pending = '';
+  let position = 0;
+  let dropDepth = 0;
+
+  const emit = (html) => {
+    if (html && dropDepth === 0) {
+      output.push(html);
+    }
+  };
+
+  // consumes source up to `end`, copying it unless inside removed content
+  const advance = (end, keep = dropDepth === 0) => {
+    const length = Math.min(end - position, pending.length);
+    if (length <= 0) {
+      return;
+    }
+    if (keep) {
+      output.push(pending.slice(0, length));
+    }
+    pending = pending.slice(length);
+    position += length;
+  };
+
+  const createElement = (frame, parentName) => {
+    const { record } = frame;
+    const toHtml = (content, contextName) => jsonToHtml(content, { context: contextName });
+    const assertOpen = (method) => {
+      if (frame.started) {
+        throw new Error(`Cannot call ${method}() on <${record.name}> after its start tag was written`);
+      }
+    };
+    const assertContainer = (method) => {
+      if (frame.isVoid) {
+        throw new Error(`Void element <${record.name}> cannot have children`);
+      }
+      assertOpen(method);
+    };
+    const element = {
+      name: record.name,
+      attribs: record.attribs,
+      namespace: frame.namespace,
+      before: (content) => {
+        assertOpen('before');
+        frame.before.push(toHtml(content, parentName));
+        return element;
+      },
+      after: (content) => {
+        frame.after.push(toHtml(content, parentName));
+        return element;
+      },
+      prepend: (content) => {
+        assertContainer('prepend');
+        frame.prepend.push(toHtml(content, record.name));
+        return element;
+      },
+      append: (content) => {
+        if (frame.isVoid) {
+          throw new Error(`Void element <${record.name}> cannot have children`);
+        }
+        frame.append.push(toHtml(content, record.name));
+        return element;
+      },
+      setInnerContent: (content) => {
+        assertContainer('setInnerContent');
+        frame.inner = toHtml(content, record.name);
+        frame.prepend = [];
+        return element;
+      },
+      replace: (content) => {
+        element.before(content);
+        return element.remove();
+      },
+      remove: () => {
+        assertOpen('remove');
+        frame.removed = true;
+        return element;
+      },
+      onEndTag: (handler) => {
+        frame.endTagHandlers.push(handler);
+        return element;
+      },
+    };
+    return element;
+  };
+
+  const openElement = (parser, rawName, rawAttribs, isImplied) => {
+    advance(parser.startIndex);
+    const parent = stack.at(-1);
+    const namespace = getElementNamespace(rawName, parent?.childNamespace);
+    const name = adjustElementName(rawName, namespace);
+    const record = {
+      name,
+      attribs: Object.fromEntries(Object.entries(rawAttribs)
+        .map(([key, value]) => [adjustAttributeName(key, namespace), value])),
+      parent: parent?.record ?? null,
+      children: trackSiblings ? [] : null,
+    };
+    if (trackSiblings) {
+      (parent?.record.children ?? roots).push(record);
+    }
+    const frame = {
+      record,
+      namespace,
+      childNamespace: getChildNamespace(name, namespace),
+      isVoid: namespace === 'html' && VOID_TAGS.includes(name),
+      // `</p>` and `</br>` without a start tag open an element that is not in the source
+      implied: isImplied,
+      started: false,
+      removed: false,
+      dropping: false,
+      inner: null,
+      before: [],
+      prepend: [],
+      append: [],
+      after: [],
+      endTagHandlers: [],
+    };
+    stack.push(frame);
+    if (isImplied) {
+      return;
+    }
+
+    // nothing inside removed content is matched
+    let modified = false;
+    if (dropDepth === 0) {
+      const snapshot = JSON.stringify(record.attribs);
+      const element = createElement(frame, parent?.record.name);
+      handlers.forEach(({ list, handler }) => {
+        if (matchesList(record, list, context)) {
+          handler(element);
+        }
+      });
+      modified = JSON.stringify(record.attribs) !== snapshot;
+    }
+    frame.started = true;
+
+    emit(frame.before.join(''));
+    if (frame.removed) {
+      dropDepth++;
+      advance(parser.endIndex + 1);
+      return;
+    }
+    if (modified) {
+      emit(serializeOpenTag(record));
+      advance(parser.endIndex + 1, false);
+    } else {
+      advance(parser.endIndex + 1);
+    }
+    emit(frame.prepend.join(''));
+    if (frame.inner !== null) {
+      emit(frame.inner);
+      frame.dropping = true;
+      dropDepth++;
+    }
+  };
+
+  const closeElement = (parser, isImplied) => {
+    const frame = stack.pop();
+    if (!frame) {
+      return;
+    }
+    // later elements only look at the siblings of their ancestors, never inside a closed element
+    if (trackSiblings) {
+      frame.record.children = [];
+    }
+    // an implied end tag has no source; content up to whatever closed the element is still its own
+    advance(parser.startIndex);
+    if (frame.implied) {
+      if (!isImplied) {
+        advance(parser.endIndex + 1);
+      }
+      return;
+    }
+    frame.endTagHandlers.forEach((handler) => handler());
+    if (frame.dropping) {
+      dropDepth--;
+    }
+    emit(frame.append.join(''));
+    if (!isImplied) {
+      advance(parser.endIndex + 1);
+    }
+    if (frame.removed) {
+      dropDepth--;
+    }
+    emit(frame.after.join(''));
+  };
+
+  const parser = new Parser({
+    onopentag: (name, attribs, isImplied) => openElement(parser, name, attribs, isImplied),
+    onclosetag: (name, isImplied) => closeElement(parser, isImplied),
+    ontext: () => advance(parser.endIndex + 1),
+    oncommentend: () => advance(parser.endIndex + 1),
+    onprocessinginstruction: () => advance(parser.endIndex + 1),
+  });
+
+  const flush = () => {
+    const html = output.join('');
+    output = [];
+    return html;
+  };
+
+  return {
+    write: (text) => {
+      pending += text;
+      parser.write(text);
+      return flush();
+    },
+    end: (text = '') => {
+      pending += text;
+      parser.end(text);
+      advance(position + pending.length);
+      return flush();
+    },
+  };
+};
+
+const transformChunks = async function* (chunks, setups) {
+  const session = createSession(setups);
+  const decoder = new TextDecoder();
+  for await (const chunk of chunks) {
+    const html = session.write(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+    if (html) {
+      yield html;
+    }
+  }
+  const html = session.end(decoder.decode());
+  if (html) {
+    yield html;
+  }
+};
+
+const toReadableStream = (iterator) => new ReadableStream({
+  pull: async (controller) => {
+    const { value, done } = await iterator.next();
+    if (done) {
+      controller.close();
+    } else {
+      controller.enqueue(value);
+    }
+  },
+  cancel: async (reason) => {
+    await iterator.return(reason);
+  },
+});
+
+/**
+ * Streaming counterpart of the tree helpers for documents too large to hold
+ * twice in memory. Handlers are registered up front and run as start tags
+ * are read; `transform` can be called any number of times.
+ */
+const createHtmlRewriter = () => {
+  const setups = [];
+
+  const rewriter = {
+    onElement: (selector, handler) => {
+      assertStreamable(selector, parseSelector(selector));
+      if (typeof handler !== 'function') {
+        throw new TypeError('Expected handler to be a function');
+      }
+      setups.push(({ on }) => on(selector, handler));
+      return rewriter;
+    },
+    setTitle: (content) => {
+      setups.push(({ on, appendToHead }) => {
+        let found = false;
+        on('title', (element) => {
+          found = true;
+          element.setInnerContent(content);
+        });
+        appendToHead(() => (found ? null : { name: 'title', attribs: {}, children: [content] }));
+      });
+      return rewriter;
+    },
+    insertLink: (href, rel = 'stylesheet', additionalAttribs = {}) => {
+      setups.push(({ on, appendToHead }) => {
+        let found = false;
+        on('head > link', (element) => {
+          if (!found && element.attribs.rel === rel && element.attribs.href === href) {
+            found = true;
+            Object.assign(element.attribs, additionalAttribs);
+          }
+        });
+        appendToHead(() => (found
+          ? null
+          : { name: 'link', attribs: { rel, href, ...additionalAttribs }, children: [] }));
+      });
+      return rewriter;
+    },
+    removeNodes: (target) => {
+      if (typeof target === 'function') {
+        setups.push(({ on }) => on('*', (element) => {
+          if (target({
+            type: 'element',
+            name: element.name,
+            attribs: element.attribs,
+            content: null,
+          })) {
+            element.remove();
+          }
+        }));
+        return rewriter;
+      }
+      return rewriter.onElement(target, (element) => element.remove());
+    },
+    transform: (input) => {
+      const iterator = transformChunks(toChunks(input), [...setups]);
+      if (input instanceof ReadableStream) {
+        return toReadableStream(iterator);
+      }
+      return Readable.from(iterator);
+    },
+  };
+
+  return rewriter;
+};
+
+export {
+  createHtmlRewriter,
+};
@@ -0,0 +1,130 @@
+import assert from 'node:assert';
+import { Readable } from 'node:stream';
+import { describe, test } from 'node:test';
+
+import { createHtmlRewriter } from './index.mjs';
+
+const DOCUMENT = [
+  '<!DOCTYPE html>',
+  '<html><head><meta charset=utf-8><title>Report &amp; data</title></head>',
+  '<body><!-- generated --><p class=lead>Summary<p>Details',
+  '<img src=chart.png><script src="https://tracker.example/t.js"></script>',
+  '<ul><li>1<li>2<li>3</ul></body></html>',
+].join('\n');
+
+const collect = async (stream) => {
+  let html = '';
+  for await (const chunk of stream) {
+    html += chunk;
+  }
+  return html;
+};
+
+// one character per chunk, so every token is split across writes
+const byCharacter = (html) => Readable.from(html.split(''));
+
+describe('createHtmlRewriter', () => {
+  test('should pass the source through unchanged without handlers', async () => {
+    assert.strictEqual(await collect(createHtmlRewriter().transform(byCharacter(DOCUMENT))), DOCUMENT);
+  });
+
+  test('should rewrite attributes and insert content around elements', async () => {
+    const rewriter = createHtmlRewriter()
+      .onElement('img', (element) => {
+        element.attribs.loading = 'lazy';
+        element.before({ name: 'figure', attribs: {}, children: [] }).after('<!>');
+      })
+      .onElement('li + li', (element) => element.prepend(', '))
+      .onElement('p:first-child', (element) => element.append({ name: 'b', attribs: {}, children: ['!'] }));
+
+    const html = await collect(rewriter.transform(byCharacter(DOCUMENT)));
+    assert.match(html, /<p class=lead>Summary<b>!<\/b><p>Details\n<figure><\/figure><img src="chart.png" loading="lazy">&lt;!&gt;<script/);
+    assert.match(html, /<ul><li>1<li>, 2<li>, 3<\/ul>/);
+    assert.match(html, /<!-- generated -->/);
+  });
+
+  test('should match sibling selectors after nested content was closed', async () => {
+    const rewriter = createHtmlRewriter()
+      .onElement('h2 ~ p', (element) => element.prepend('~'))
+      .onElement('div + p', (element) => element.prepend('+'))
+      .onElement('section > :nth-child(4)', (element) => element.prepend('4'));
+
+    const html = await collect(rewriter.transform(byCharacter('<section><h2>a</h2><div><p>x</p><p>y</p></div><p>z</p><p>w</p></section>')));
+    assert.strictEqual(html, '<section><h2>a</h2><div><p>x</p><p>y</p></div><p>~+z</p><p>~4w</p></section>');
+  });
+
+  test('should support setTitle, insertLink and removeNodes', async () => {
+    const rewriter = createHtmlRewriter()
+      .setTitle('Q3 <draft>')
+      .insertLink('/print.css', 'stylesheet', { media: 'print' })
+      .removeNodes('script[src^="https://tracker."]')
+      .removeNodes((node) => node.name === 'li' && node.attribs.class === 'skip');
+
+    const html = await collect(rewriter.transform(DOCUMENT.replace('<li>2', '<li class=skip>2')));
+    assert.match(html, /<title>Q3 &lt;draft&gt;<\/title><link rel="stylesheet" href="\/print.css" media="print"><\/head>/);
+    assert.doesNotMatch(html, /tracker|<li class=skip>|2/);
+    assert.match(html, /<ul><li>1<li>3<\/ul>/);
+  });
+
+  test('should reuse an existing link and add a missing head', async () => {
+    const rewriter = createHtmlRewriter()
+      .insertLink('/a.css', 'stylesheet', { media: 'screen' })
+      .setTitle('Home');
+
+    assert.strictEqual(
+      await collect(rewriter.transform('<html><head><link rel="stylesheet" href="/a.css"></head></html>')),
+      '<html><head><link rel="stylesheet" href="/a.css" media="screen"><title>Home</title></head></html>',
+    );
+    assert.strictEqual(
+      await collect(rewriter.transform('<html><body>x</body></html>')),
+      '<html><head><link rel="stylesheet" href="/a.css" media="screen"><title>Home</title></head><body>x</body></html>',
+    );
+  });
+
+  test('should replace content and close implied elements correctly', async () => {
+    const rewriter = createHtmlRewriter()
+      .onElement('p', (element) => element.setInnerContent('…'))
+      .onElement('li', (element) => element.onEndTag(() => element.append('.')))
+      .onElement('b', (element) => element.replace('bold'));
+
+    assert.strictEqual(
+      await collect(rewriter.transform(byCharacter('<div><p>a <b>x</b><p>b</div><ul><li>1<li>2</ul><b>y</b>'))),
+      '<div><p>…<p>…</div><ul><li>1.<li>2.</ul>bold',
+    );
+  });
+
+  test('should keep the case of foreign content when re-serializing', async () => {
+    const rewriter = createHtmlRewriter().onElement('svg', (element) => {
+      element.attribs.role = 'img';
+    });
+    assert.strictEqual(
+      await collect(rewriter.transform('<svg VIEWBOX="0 0 1 1"><clipPath/></svg>')),
+      '<svg viewBox="0 0 1 1" role="img"><clipPath/></svg>',
+    );
+  });
+
+  test('should read and return web streams of bytes', async () => {
+    const bytes = new TextEncoder().encode('<html><head><title>é</title></head></html>');
+    const input = new ReadableStream({
+      start: (controller) => {
+        // split inside the two-byte "é"
+        controller.enqueue(bytes.slice(0, 20));
+        controller.enqueue(bytes.slice(20));
+        controller.close();
+      },
+    });
+    const output = createHtmlRewriter().setTitle('ü').transform(input);
+    assert.ok(output instanceof ReadableStream);
+    assert.strictEqual(await collect(output), '<html><head><title>ü</title></head></html>');
+  });
+
+  test('should reject invalid use', async () => {
+    assert.throws(() => createHtmlRewriter().onElement('li:last-child', () => {}), SyntaxError);
+    assert.throws(() => createHtmlRewriter().onElement('li', null), TypeError);
+    assert.throws(() => createHtmlRewriter().transform(42), TypeError);
+    const late = createHtmlRewriter().onElement('p', (element) => element.onEndTag(() => element.remove()));
+    await assert.rejects(collect(late.transform('<p>x</p>')), /Cannot call remove\(\) on <p> after its start tag was written/);
+    const voidChild = createHtmlRewriter().onElement('br', (element) => element.append('x'));
+    await assert.rejects(collect(voidChild.transform('<br>')), /Void element <br> cannot have children/);
+  });
+});
@@ -0,0 +1,280 @@
+import { RESOURCE_ATTRS } from './attributes.mjs';
+import { createLruCache } from './lru.mjs';
+import { getUrlScheme } from './sanitize.mjs';
+import { escapeText } from './serializer.mjs';
+
+const DIRECTIVE_ATTRS = ['data-each', 'data-if', 'data-else', 'data-slot'];
+
+// schemes a placeholder must not be able to put at the start of a URL
+const UNSAFE_URL_SCHEMES = ['javascript', 'vbscript', 'data'];
+
+const PLACEHOLDER_RE = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const PATH_RE = /^[\w$-]+(?:\.[\w$-]+)*$/;
+const EACH_RE = /^\s*([\w$]+)(?:\s*,\s*([\w$]+))?\s+in\s+(\S+)\s*$/;
+
+// keyed by the text of every node in every rendered template, so only the recent ones are kept
+const cachedPlaceholders = createLruCache(1000);
+
+/**
+ * Splits a template string into literal strings and `{ path }` parts,
+ * or returns null when it has no placeholders.
+ */
+const parsePlaceholders = (text) => cachedPlaceholders(text, () => {
+  const parts = [];
+  let lastIndex = 0;
+  text.replace(PLACEHOLDER_RE, (match, path, offset) => {
+    if (!PATH_RE.test(path)) {
+      throw new SyntaxError(`Invalid placeholder "${match}"`);
+    }
+    if (offset > lastIndex) {
+      parts.push(text.slice(lastIndex, offset));
+    }
+    parts.push({ path });
+    lastIndex = offset + match.length;
+    return match;
+  });
+  if (parts.length && lastIndex < text.length) {
+    parts.push(text.slice(lastIndex));
+  }
+  return parts.length ? parts : null;
+});
+
+/**
+ * Looks a dotted path up through the scope chain, innermost first. Only own
+ * properties are read, so `{{constructor}}` cannot reach the prototype.
+ * `strict` only applies to placeholders and data-each; conditions and slots
+ * are optional by nature.
+ */
+const resolvePath = (path, scopes, options = {}) => {
+  const [head, ...rest] = path.split('.');
+  const scope = scopes.find((candidate) => candidate != null && Object.hasOwn(Object(candidate), head));
+  let value = scope?.[head];
+  let found = scope !== undefined;
+  rest.forEach((key) => {
+    found = found && value != null && Object.hasOwn(Object(value), key);
+    value = found ? value[key] : undefined;
+  });
+  if (!found && options.strict) {
+    throw new Error(`Missing template value "${path}"`);
+  }
+  return value;
+};
+
+const evaluateCondition = (expression, scopes) => {
+  const negated = expression.trim().startsWith('!');
+  const path = expression.trim().replace(/^!\s*/, '');
+  if (!PATH_RE.test(path)) {
+    throw new SyntaxError(`Invalid condition "${expression}"`);
+  }
+  const value = resolvePath(path, scopes);
+  const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+  return negated ? !truthy : truthy;
+};
+
+const toText = (value) => (value == null ? '' : String(value));
+
+// inside <script> values become JSON literals that cannot end the element
+const toScriptLiteral = (value) => (JSON.stringify(value) ?? 'undefined')
+  .replace(/[<>&\u2028\u2029]/g, (ch) => `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`);
+
+const toCssText = (value, path) => {
+  const text = toText(value);
+  if (/[<>{};"'\\]/.test(text)) {
+    throw new Error(`Template value "${path}" cannot be used in CSS`);
+  }
+  return text;
+};
+
+const interpolate = (parts, scopes, options, format = toText) => parts
+  .map((part) => (typeof part === 'string' ? part : format(resolvePath(part.path, scopes, options), part.path)))
+  .join('');
+
+const renderAttribute = (key, value, scopes, options) => {
+  const parts = typeof value === 'string' ? parsePlaceholders(value) : null;
+  if (!parts) {
+    return value;
+  }
+  const lowerKey = key.toLowerCase();
+  if (lowerKey.startsWith('on')) {
+    throw new Error(`Placeholders are not allowed in event handler attribute "${key}"`);
+  }
+  if (lowerKey === 'srcdoc') {
+    throw new Error(`Placeholders are not allowed in attribute "${key}", its value is a document`);
+  }
+  if (lowerKey === 'style') {
+    return interpolate(parts, scopes, options, toCssText);
+  }
+  if (parts.length === 1) {
+    // a lone placeholder keeps booleans and null so the attribute can be toggled
+    const resolved = resolvePath(parts[0].path, scopes, options);
+    if (resolved == null || typeof resolved === 'boolean') {
+      return resolved ?? null;
+    }
+  }
+  const text = interpolate(parts, scopes, options);
+  // checked on the whole text, a literal prefix like " " does not keep the value out of the scheme
+  if (RESOURCE_ATTRS.includes(lowerKey) && UNSAFE_URL_SCHEMES.includes(getUrlScheme(text))) {
+    return 'about:invalid';
+  }
+  return text;
+};
+
+const renderAttributes = (attribs, scopes, options) => Object.fromEntries(Object.entries(attribs ?? {})
+  .filter(([key]) => !DIRECTIVE_ATTRS.includes(key))
+  .map(([key, value]) => [key, renderAttribute(key, value, scopes, options)])
+  .filter(([, value]) => value != null));
+
+const renderText = (text, parentName, scopes, options) => {
+  const parts = parsePlaceholders(text);
+  if (!parts) {
+    return [text];
+  }
+  if (parentName === 'script') {
+    return [interpolate(parts, scopes, options, toScriptLiteral)];
+  }
+  if (parentName === 'style') {
+    return [interpolate(parts, scopes, options, toCssText)];
+  }
+  // values are always text, whatever their shape; markup only goes in through slots
+  const value = interpolate(parts, scopes, options);
+  return value ? [value] : [];
+};
+
+const toNodes = (value) => [value].flat().filter((node) => node != null && node !== false && node !== '')
+  .map((node) => (typeof node === 'object' ? node : String(node)));
+
+const parseEach = (expression) => {
+  const match = expression.match(EACH_RE);
+  if (!match) {
+    throw new SyntaxError(`Invalid data-each "${expression}", expected "item in items" or "item, index in items"`);
+  }
+  return { item: match[1], index: match[2], path: match[3] };
+};
+
+const toItems = (value, path) => {
+  if (value == null) {
+    return [];
+  }
+  if (typeof value === 'string' || typeof value[Symbol.iterator] !== 'function') {
+    throw new TypeError(`Template value "${path}" used in data-each is not iterable`);
+  }
+  return [...value];
+};
+
+/**
+ * Renders one element once its data-each and data-if have been applied.
+ * `renderChildren` is renderNodes, passed in because the two call each other.
+ */
+const renderElement = (node, scopes, options, renderChildren) => {
+  const { attribs = {} } = node;
+  const slot = node.name === 'slot' ? attribs.name : attribs['data-slot'];
+  let children;
+  if (slot != null) {
+    const value = resolvePath(slot, scopes);
+    children = value == null
+      ? renderChildren(node.children ?? [], node.name, scopes, options)
+      : toNodes(value);
+  } else {
+    children = renderChildren(node.children ?? [], node.name, scopes, options);
+  }
+  // <slot> and <template> that carry a directive only group their content
+  if (node.name === 'slot' || (node.name === 'template' && DIRECTIVE_ATTRS.some((key) => Object.hasOwn(attribs, key)))) {
+    return children;
+  }
+  return [{
+    name: node.name,
+    attribs: renderAttributes(attribs, scopes, options),
+    children,
+  }];
+};
+
+const renderDirectives = (node, scopes, options, renderChildren) => {
+  const { attribs = {} } = node;
+  if (attribs['data-each'] == null) {
+    if (attribs['data-if'] != null && !evaluateCondition(attribs['data-if'], scopes)) {
+      return [];
+    }
+    return renderElement(node, scopes, options, renderChildren);
+  }
+  const each = parseEach(attribs['data-each']);
+  return toItems(resolvePath(each.path, scopes, options), each.path).flatMap((item, index) => {
+    const locals = { [each.item]: item };
+    if (each.index) {
+      locals[each.index] = index;
+    }
+    const itemScopes = [locals, ...scopes];
+    if (attribs['data-if'] != null && !evaluateCondition(attribs['data-if'], itemScopes)) {
+      return [];
+    }
+    return renderElement(node, itemScopes, options, renderChildren);
+  });
+};
+
+const renderNodes = (nodes, parentName, scopes, options) => {
+  const result = [];
+  // whether the last element with data-if or data-each rendered anything, for a following data-else
+  let previous = null;
+  nodes.forEach((node) => {
+    if (typeof node === 'string') {
+      if (node.trim()) {
+        previous = null;
+      }
+      result.push(...renderText(node, parentName, scopes, options));
+      return;
+    }
+    if (node.type === 'raw') {
+      const parts = parsePlaceholders(node.content);
+      previous = null;
+      // raw text is written as is, so values are escaped here
+      result.push(parts ? { type: 'raw', content: interpolate(parts, scopes, options, (value) => escapeText(toText(value))) } : node);
+      return;
+    }
+    if (node.type) {
+      if (node.type !== 'comment') {
+        previous = null;
+      }
+      result.push(node);
+      return;
+    }
+    const attribs = node.attribs ?? {};
+    if (Object.hasOwn(attribs, 'data-else')) {
+      if (previous === null) {
+        throw new Error(`<${node.name} data-else> must follow an element with data-if or data-each`);
+      }
+      if (!previous) {
+        result.push(...renderDirectives(node, scopes, options, renderNodes));
+      }
+      previous = null;
+      return;
+    }
+    const rendered = renderDirectives(node, scopes, options, renderNodes);
+    previous = attribs['data-if'] != null || attribs['data-each'] != null ? rendered.length > 0 : null;
+    result.push(...rendered);
+  });
+  return result;
+};
+
+/**
+ * Renders a template parsed with `htmlToJson` or `fragmentToJson` into a new
+ * tree. The template is not modified, so one parsed template can be rendered
+ * any number of times. Values end up as text and attribute values, which
+ * `jsonToHtml` escapes for their context.
+ */
+const render = (template, data = {}, options = {}) => {
+  const scopes = [data];
+  if (Array.isArray(template)) {
+    return renderNodes(template, undefined, scopes, options);
+  }
+  if (template?.type === 'document') {
+    return { ...template, children: renderNodes(template.children, undefined, scopes, options) };
+  }
+  if (template == null || typeof template !== 'object') {
+    throw new TypeError('Expected a node or an array of nodes');
+  }
+  const nodes = renderNodes([template], undefined, scopes, options);
+  return nodes.length === 1 ? nodes[0] : nodes;
+};
+
+export {
+  render,
+};
@@ -0,0 +1,143 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+
+import {
+  createHtmlDocument,
+  fragmentToJson,
+  htmlToJson,
+  jsonToHtml,
+} from './index.mjs';
+import { render } from './template.mjs';
+
+const renderHtml = (html, data, options, parseOptions) => jsonToHtml(render(fragmentToJson(html, parseOptions), data, options));
+
+describe('render', () => {
+  test('should fill text and attribute placeholders with escaped values', () => {
+    assert.strictEqual(
+      renderHtml('<p title="{{ user.name }} ({{user.id}})">Hi {{user.name}}, {{missing}}{{count}}</p>', {
+        user: { name: '<Ann & "Bo">', id: 7 },
+        count: 0,
+      }),
+      '<p title="<Ann &amp; &quot;Bo&quot;> (7)">Hi &lt;Ann &amp; "Bo"&gt;, 0</p>',
+    );
+  });
+
+  test('should toggle attributes with a lone boolean or null placeholder', () => {
+    assert.strictEqual(
+      renderHtml('<input disabled="{{locked}}" required="{{required}}" value="{{value}}" name="{{name}}">', {
+        locked: true,
+        required: false,
+        value: null,
+        name: 'q',
+      }),
+      '<input disabled name="q">',
+    );
+  });
+
+  test('should not let values change the scheme of URLs or run code', () => {
+    assert.strictEqual(
+      renderHtml('<a href="{{url}}">a</a><a href="/search?q={{url}}">b</a><img src="{{image}}">', {
+        url: ' JavaScript:alert(1)',
+        image: 'data:image/svg+xml,<svg>',
+      }),
+      '<a href="about:invalid">a</a><a href="/search?q= JavaScript:alert(1)">b</a><img src="about:invalid">',
+    );
+    assert.strictEqual(
+      renderHtml('<a href=" {{url}}">a</a><a href="\t{{scheme}}:alert(1)">b</a>', { url: 'javascript:alert(1)', scheme: 'javascript' }),
+      '<a href="about:invalid">a</a><a href="about:invalid">b</a>',
+    );
+    assert.throws(() => renderHtml('<a onclick="go({{id}})">a</a>', { id: 1 }), /event handler attribute "onclick"/);
+    assert.throws(() => renderHtml('<iframe srcdoc="{{html}}"></iframe>', { html: '<script>go()</script>' }), /attribute "srcdoc"/);
+    assert.throws(() => renderHtml('<p style="color: {{color}}">a</p>', { color: 'red; background: url(x)' }), /cannot be used in CSS/);
+    assert.strictEqual(renderHtml('<p style="color: {{color}}">a</p>', { color: '#c00' }), '<p style="color: #c00">a</p>');
+  });
+
+  test('should write JSON literals into scripts', () => {
+    const template = htmlToJson('<html><head><script>const state = {{state}};</script></head></html>');
+    assert.strictEqual(
+      jsonToHtml(render(template, { state: { html: '</script><b>' } })),
+      '<html><head><script>const state = {"html":"\\u003c/script\\u003e\\u003cb\\u003e"};</script></head></html>',
+    );
+  });
+
+  test('should repeat elements with data-each', () => {
+    assert.strictEqual(
+      renderHtml('<ul><li data-each="item, i in items" class="row-{{i}}">{{item.label}}</li></ul>', {
+        items: [{ label: 'a' }, { label: 'b' }],
+      }),
+      '<ul><li class="row-0">a</li><li class="row-1">b</li></ul>',
+    );
+    assert.strictEqual(
+      renderHtml('<dl><template data-each="entry in entries"><dt>{{entry.0}}</dt><dd>{{entry.1}}</dd></template></dl>', {
+        entries: new Map([['k', 'v']]),
+      }),
+      '<dl><dt>k</dt><dd>v</dd></dl>',
+    );
+    assert.throws(() => renderHtml('<p data-each="x of xs"></p>', {}), SyntaxError);
+    assert.throws(() => renderHtml('<p data-each="x in xs"></p>', { xs: 'abc' }), TypeError);
+  });
+
+  test('should render conditionals with data-if and data-else', () => {
+    const html = [
+      '<p data-if="user.admin">admin</p>',
+      '<!-- or -->',
+      '<p data-else>guest</p>',
+      '<li data-each="item in items" data-if="!item.hidden">{{item.name}}</li>',
+      '<li data-else>empty</li>',
+    ].join(' ');
+    const preserve = { preserve: true };
+    assert.strictEqual(
+      renderHtml(html, { user: { admin: true }, items: [{ name: 'a' }, { name: 'b', hidden: true }] }, {}, preserve),
+      '<p>admin</p> <!-- or -->  <li>a</li> ',
+    );
+    assert.strictEqual(
+      renderHtml(html, { user: null, items: [] }, {}, preserve),
+      ' <!-- or --> <p>guest</p>  <li>empty</li>',
+    );
+    assert.throws(() => renderHtml('<p data-else>x</p>', {}), /must follow an element with data-if or data-each/);
+  });
+
+  test('should fill slots with nodes and fall back to their content', () => {
+    const html = '<main data-slot="content">loading</main><slot name="footer"><small>default</small></slot>';
+    assert.strictEqual(
+      renderHtml(html, { content: fragmentToJson('<h1>Title</h1><p>Body</p>'), footer: 'plain <text>' }),
+      '<main><h1>Title</h1><p>Body</p></main>plain &lt;text&gt;',
+    );
+    assert.strictEqual(renderHtml(html, {}), '<main>loading</main><small>default</small>');
+  });
+
+  test('should write node-shaped values in text placeholders as text', () => {
+    const post = JSON.parse('{"author":{"name":"img","attribs":{"src":"x","onerror":"alert(1)"},"children":[]}}');
+    assert.strictEqual(renderHtml('<p>{{post.author}}</p>', { post }), '<p>[object Object]</p>');
+    assert.strictEqual(
+      renderHtml('<p>{{items}}</p>', { items: ['<b>', { name: 'script', attribs: {}, children: ['alert(2)'] }] }),
+      '<p>&lt;b&gt;,[object Object]</p>',
+    );
+    assert.strictEqual(renderHtml('<p>{{user.name}}</p>', { user: { name: '<Alice>' } }), '<p>&lt;Alice&gt;</p>');
+  });
+
+  test('should leave the template untouched and share it across renders', () => {
+    const template = createHtmlDocument('{{title}}');
+    template.children[1].children = fragmentToJson('<p data-each="n in numbers">{{n}}</p>');
+    const snapshot = JSON.stringify(template);
+
+    assert.match(jsonToHtml(render(template, { title: 'One', numbers: [1] })), /<title>One<\/title>.*<body><p>1<\/p><\/body>/);
+    assert.match(jsonToHtml(render(template, { title: 'Two', numbers: [2, 3] })), /<title>Two<\/title>.*<body><p>2<\/p><p>3<\/p><\/body>/);
+    assert.strictEqual(JSON.stringify(template), snapshot);
+  });
+
+  test('should only read own properties and report missing values in strict mode', () => {
+    assert.strictEqual(renderHtml('<p>{{constructor}}{{user.__proto__}}</p>', { user: {} }), '<p></p>');
+    assert.throws(() => renderHtml('<p>{{user.nmae}}</p>', { user: { name: 'a' } }, { strict: true }), /Missing template value "user.nmae"/);
+    assert.strictEqual(renderHtml('<p data-if="user.admin">{{user.name}}</p>', { user: { name: 'a' } }, { strict: true }), '');
+    assert.throws(() => renderHtml('<p>{{ a + b }}</p>', {}), SyntaxError);
+  });
+
+  test('should interpolate raw text nodes in preserve mode', () => {
+    const template = htmlToJson('<html><body><p>&copy; {{year}} {{owner}}</p></body></html>', { preserve: true });
+    assert.strictEqual(
+      jsonToHtml(render(template, { year: 2024, owner: 'A&B' })),
+      '<html><body><p>&copy; 2024 A&amp;B</p></body></html>',
+    );
+  });
+});
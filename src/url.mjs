@@ -0,0 +1,32 @@
+const resolveUrl = (value, base) => {
+  try {
+    return new URL(value, base ?? undefined).href;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Shortest URL that resolves to `url` from `baseUrl`: a relative path when
+ * both share scheme and host, otherwise `url` itself.
+ */
+const getRelativeUrl = (url, baseUrl) => {
+  const target = new URL(url);
+  const base = new URL(baseUrl);
+  if (target.protocol !== base.protocol || target.host !== base.host) {
+    return target.href;
+  }
+  const from = base.pathname.split('/').slice(0, -1);
+  const to = target.pathname.split('/');
+  let common = 0;
+  while (common < from.length && common < to.length - 1 && from[common] === to[common]) {
+    common++;
+  }
+  const path = [...from.slice(common).map(() => '..'), ...to.slice(common)].join('/');
+  return `${path || './'}${target.search}${target.hash}`;
+};
+
+export {
+  getRelativeUrl,
+  resolveUrl,
+};
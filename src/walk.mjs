@@ -0,0 +1,126 @@
+import { normalizeChildren } from './builder.mjs';
+
+/**
+ * Calls `callback(node, ctx)` and applies a replace() or remove() made from
+ * it. Returns how many nodes now sit where `node` was, or null when it was
+ * left in place.
+ */
+const visitNode = (callback, frame, index, node, state) => {
+  if (typeof callback !== 'function') {
+    return null;
+  }
+  let replacement = null;
+  const assertAttached = (method) => {
+    if (frame.detached) {
+      throw new Error(`Cannot ${method}() the root node`);
+    }
+  };
+  const { path } = state;
+  callback(node, {
+    parent: frame.owner,
+    index: frame.detached ? null : index,
+    depth: path.length,
+    // copied on access, most visitors never look at it
+    get path() {
+      return path.slice();
+    },
+    skip: () => {
+      state.skipped = true;
+    },
+    stop: () => {
+      state.stopped = true;
+    },
+    replace: (content) => {
+      assertAttached('replace');
+      replacement = normalizeChildren([content]);
+    },
+    remove: () => {
+      assertAttached('remove');
+      replacement = [];
+    },
+  });
+  if (replacement === null) {
+    return null;
+  }
+  frame.siblings.splice(index, 1, ...replacement);
+  return replacement.length;
+};
+
+/**
+ * Visits `root` and its descendants depth first, calling `enter` before a
+ * node's children and `leave` after them. A function visitor is used as
+ * `enter`. Each call gets a context with:
+ *
+ * - `parent`, `index`, `depth` and `path` (the ancestors, outermost first);
+ *   `root` itself has no parent and a null index unless it is an array
+ * - `skip()`: do not visit the children, `leave` is still called
+ * - `stop()`: end the walk, no other callback is called
+ * - `replace(content)` / `remove()`: take effect when the callback returns;
+ *   neither the removed node nor the new content is visited further
+ *
+ * An explicit stack is used instead of recursion, so documents of any depth
+ * can be walked.
+ */
+const walk = (root, visitor) => {
+  const { enter, leave } = typeof visitor === 'function' ? { enter: visitor } : visitor ?? {};
+  if (typeof enter !== 'function' && typeof leave !== 'function') {
+    throw new TypeError('Expected visitor to be a function or an object with enter or leave');
+  }
+  if (root == null) {
+    return;
+  }
+  const state = {
+    path: [],
+    skipped: false,
+    stopped: false,
+  };
+  const frames = [{
+    owner: null,
+    siblings: Array.isArray(root) ? root : [root],
+    detached: !Array.isArray(root),
+    index: 0,
+  }];
+
+  while (frames.length && !state.stopped) {
+    const frame = frames.at(-1);
+    if (frame.index >= frame.siblings.length) {
+      frames.pop();
+      if (frame.parentFrame) {
+        state.path.pop();
+        const replaced = visitNode(leave, frame.parentFrame, frame.ownerIndex, frame.owner, state);
+        frame.parentFrame.index = frame.ownerIndex + (replaced ?? 1);
+      }
+      continue;
+    }
+    const { index } = frame;
+    const node = frame.siblings[index];
+    if (node == null) {
+      frame.index++;
+      continue;
+    }
+    state.skipped = false;
+    const replaced = visitNode(enter, frame, index, node, state);
+    if (state.stopped) {
+      break;
+    }
+    if (replaced !== null) {
+      frame.index = index + replaced;
+    } else if (!state.skipped && Array.isArray(node.children)) {
+      state.path.push(node);
+      frames.push({
+        owner: node,
+        siblings: node.children,
+        detached: false,
+        index: 0,
+        parentFrame: frame,
+        ownerIndex: index,
+      });
+    } else {
+      frame.index = index + (visitNode(leave, frame, index, node, state) ?? 1);
+    }
+  }
+};
+
+export {
+  walk,
+};
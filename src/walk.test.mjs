@@ -0,0 +1,190 @@
+import assert from 'node:assert';
+import { describe, test } from 'node:test';
+
+import { fragmentToJson, h, hasNode, htmlToJson, jsonToHtml, produce, removeNodes, traverse } from './index.mjs';
+import { walk } from './walk.mjs';
+
+const label = (node) => (typeof node === 'string' ? node : node.name ?? node.type);
+
+describe('walk', () => {
+  test('should call enter and leave in document order', () => {
+    const ast = htmlToJson('<html><body><p>a<b>b</b></p><br></body></html>');
+    const calls = [];
+
+    walk(ast, {
+      enter: (node) => calls.push(`+${label(node)}`),
+      leave: (node) => calls.push(`-${label(node)}`),
+    });
+
+    assert.deepStrictEqual(calls, [
+      '+html', '+body', '+p', '+a', '-a', '+b', '+b', '-b', '-b', '-p', '+br', '-br', '-body', '-html',
+    ]);
+  });
+
+  test('should accept a function as enter', () => {
+    const names = [];
+    walk(fragmentToJson('<p><i></i></p><hr>'), (node) => names.push(node.name));
+    assert.deepStrictEqual(names, ['p', 'i', 'hr']);
+  });
+
+  test('should give parent, index, depth and path', () => {
+    const ast = htmlToJson('<html><body><ul><li>a</li><li>b</li></ul></body></html>');
+    const seen = [];
+
+    walk(ast, (node, ctx) => {
+      seen.push([label(node), label(ctx.parent ?? 'null'), ctx.index, ctx.depth, ctx.path.map(label).join('>')]);
+    });
+
+    assert.deepStrictEqual(seen, [
+      ['html', 'null', null, 0, ''],
+      ['body', 'html', 0, 1, 'html'],
+      ['ul', 'body', 0, 2, 'html>body'],
+      ['li', 'ul', 0, 3, 'html>body>ul'],
+      ['a', 'li', 0, 4, 'html>body>ul>li'],
+      ['li', 'ul', 1, 3, 'html>body>ul'],
+      ['b', 'li', 0, 4, 'html>body>ul>li'],
+    ]);
+  });
+
+  test('should index the top level of arrays', () => {
+    const seen = [];
+    walk(fragmentToJson('<i></i>x<b></b>'), (node, { parent, index }) => seen.push([label(node), parent, index]));
+    assert.deepStrictEqual(seen, [['i', null, 0], ['x', null, 1], ['b', null, 2]]);
+  });
+
+  test('should skip children but still leave', () => {
+    const calls = [];
+    walk(fragmentToJson('<div><p>a</p></div><span>b</span>'), {
+      enter: (node, ctx) => {
+        calls.push(`+${label(node)}`);
+        if (node.name === 'div') {
+          ctx.skip();
+        }
+      },
+      leave: (node) => calls.push(`-${label(node)}`),
+    });
+    assert.deepStrictEqual(calls, ['+div', '-div', '+span', '+b', '-b', '-span']);
+  });
+
+  test('should stop from enter and from leave', () => {
+    const entered = [];
+    walk(fragmentToJson('<p>a</p><p>b</p>'), (node, ctx) => {
+      entered.push(label(node));
+      if (node === 'a') {
+        ctx.stop();
+      }
+    });
+    assert.deepStrictEqual(entered, ['p', 'a']);
+
+    const calls = [];
+    walk(fragmentToJson('<p><i></i></p><p></p>'), {
+      enter: (node) => calls.push(`+${label(node)}`),
+      leave: (node, ctx) => {
+        calls.push(`-${label(node)}`);
+        ctx.stop();
+      },
+    });
+    assert.deepStrictEqual(calls, ['+p', '+i', '-i']);
+  });
+
+  test('should replace and remove nodes without visiting them', () => {
+    const nodes = fragmentToJson('<p>a<i>b</i>c</p><hr><p>d</p>');
+    const entered = [];
+
+    walk(nodes, (node, ctx) => {
+      entered.push(label(node));
+      if (node.name === 'i') {
+        ctx.replace([h('em', null, 'x'), 'y']);
+      } else if (node.name === 'hr') {
+        ctx.remove();
+      }
+    });
+
+    assert.deepStrictEqual(entered, ['p', 'a', 'i', 'c', 'hr', 'p', 'd']);
+    assert.strictEqual(jsonToHtml(nodes), '<p>a<em>x</em>yc</p><p>d</p>');
+  });
+
+  test('should replace and remove from leave', () => {
+    const nodes = fragmentToJson('<ul><li>a</li><li></li><li>b</li></ul>');
+    const left = [];
+
+    walk(nodes, {
+      leave: (node, ctx) => {
+        left.push(label(node));
+        if (node.name === 'li' && !node.children.length) {
+          ctx.remove();
+        } else if (node.name === 'li') {
+          ctx.replace(h('li', { class: 'item' }, node.children));
+        }
+      },
+    });
+
+    assert.deepStrictEqual(left, ['a', 'li', 'li', 'b', 'li', 'ul']);
+    assert.strictEqual(jsonToHtml(nodes), '<ul><li class="item">a</li><li class="item">b</li></ul>');
+  });
+
+  test('should not remove or replace the root node', () => {
+    const ast = htmlToJson('<html></html>');
+    assert.throws(() => walk(ast, (node, ctx) => ctx.remove()), { message: 'Cannot remove() the root node' });
+    assert.throws(() => walk(ast, { leave: (node, ctx) => ctx.replace('x') }), { message: 'Cannot replace() the root node' });
+  });
+
+  test('should skip missing nodes and reject invalid visitors', () => {
+    const seen = [];
+    walk([null, 'a', undefined], (node) => seen.push(node));
+    assert.deepStrictEqual(seen, ['a']);
+    assert.doesNotThrow(() => walk(null, () => {}));
+    assert.throws(() => walk([], {}), TypeError);
+    assert.throws(() => walk([], null), TypeError);
+  });
+
+  test('should handle very deep documents', () => {
+    const root = h('div');
+    let current = root;
+    for (let i = 0; i < 100000; i++) {
+      const child = h('div');
+      current.children.push(child);
+      current = child;
+    }
+    current.children.push(h('span'));
+
+    let depth = 0;
+    walk(root, (node, ctx) => {
+      depth = ctx.depth;
+    });
+
+    assert.strictEqual(depth, 100001);
+    assert.strictEqual(hasNode(root, (node) => node.name === 'span'), true);
+    removeNodes(root, (node) => node.name === 'span');
+    assert.strictEqual(current.children.length, 0);
+  });
+
+  test('should work on drafts', () => {
+    const base = fragmentToJson('<p>a</p><p>b</p>');
+    const next = produce(base, (draft) => {
+      walk(draft, (node, ctx) => {
+        if (node === 'b') {
+          ctx.replace('c');
+        }
+      });
+    });
+    assert.strictEqual(jsonToHtml(base), '<p>a</p><p>b</p>');
+    assert.strictEqual(jsonToHtml(next), '<p>a</p><p>c</p>');
+    assert.strictEqual(next[0], base[0]);
+  });
+
+  test('should keep the behavior of the helpers built on it', () => {
+    const nodes = fragmentToJson('<div><p class="x">a</p></div><p class="x">b</p>');
+    const names = [];
+    traverse(nodes, (node) => names.push(label(node)));
+    assert.deepStrictEqual(names, ['div', 'p', 'a', 'p', 'b']);
+
+    removeNodes(nodes, (node) => node.attribs?.class === 'x');
+    assert.strictEqual(jsonToHtml(nodes), '<div></div>');
+
+    // the root element itself is never removed
+    const root = fragmentToJson('<p class="x"><i class="x"></i></p>')[0];
+    assert.strictEqual(removeNodes(root, (node) => node.attribs?.class === 'x'), root);
+    assert.deepStrictEqual(root.children, []);
+  });
+});